@@ -28,6 +28,9 @@ const CHART_LAYOUT_DEFAULTS = {
  * @param {string} containerId - DOM element ID for chart
  */
 function createDamageChart(weapons, containerId = 'mainChart') {
+    const falloff = getTTKOptions().falloff;
+    const focusDistance = (currentFilters && currentFilters.range != null) ? getRangeDistance(currentFilters.range) : null;
+
     // Group weapons by type for better color organization
     const weaponTypes = [...new Set(weapons.map(w => w['Weapon Type']))];
     const colorPalette = {
@@ -47,29 +50,30 @@ function createDamageChart(weapons, containerId = 'mainChart') {
         const colorIndex = weapons.filter(w => w['Weapon Type'] === weapon['Weapon Type']).indexOf(weapon);
         const lineColor = typeColors[colorIndex % typeColors.length];
         
-        const damages = RANGES.map(range => weapon[range]);
-        const rangeLabels = RANGES.map(r => r.replace('M', 'm'));
+        const curve = getDamageCurve(weapon, falloff);
 
         return {
-            x: rangeLabels,
-            y: damages,
+            x: curve.x,
+            y: curve.y,
             type: 'scatter',
             mode: 'lines+markers',
             name: `${weapon.Weapon} (${weapon['Weapon Type']})`,
             line: {
                 color: lineColor,
                 width: 3,
+                shape: falloff === 'linear' ? 'linear' : 'hv',
                 dash: weapon['Weapon Type'] === 'SNIPER RIFLE' ? 'dash' : 'solid'
             },
             marker: {
-                size: 6,
+                // Only mark distances that were actually sampled in the CSV
+                size: curve.sampled.map(sampled => sampled ? 6 : 0),
                 color: lineColor,
                 line: { width: 1, color: '#000' }
             },
             opacity: 0.8,
             hovertemplate:
                 `<b>%{fullData.name}</b><br>` +
-                `Range: %{x}<br>` +
+                `Range: %{x}m<br>` +
                 `Damage: %{y}<br>` +
                 `RPM: ${formatNumber(weapon.RPM)}<br>` +
                 `DPS: ${formatNumber(weapon.DPS)}<br>` +
@@ -80,13 +84,14 @@ function createDamageChart(weapons, containerId = 'mainChart') {
     const layout = {
         ...CHART_LAYOUT_DEFAULTS,
         title: {
-            text: `Weapon Damage vs Range (${weapons.length} weapons)`,
+            text: `Weapon Damage vs Range (${weapons.length} weapons, ${falloff === 'linear' ? 'linear' : 'step'} falloff)`,
             font: { size: 20, color: '#fff' }
         },
         xaxis: {
-            title: 'Range',
+            title: 'Range (m)',
             gridcolor: '#333',
-            color: '#ccc'
+            color: '#ccc',
+            range: [0, MAX_DISTANCE]
         },
         yaxis: {
             title: 'Damage per Shot',
@@ -104,6 +109,16 @@ function createDamageChart(weapons, containerId = 'mainChart') {
             borderwidth: 1,
             traceorder: 'grouped'
         },
+        // Mark the selected distance
+        shapes: focusDistance !== null ? [{
+            type: 'line',
+            x0: focusDistance,
+            x1: focusDistance,
+            yref: 'paper',
+            y0: 0,
+            y1: 1,
+            line: { color: '#00d9ff', width: 1, dash: 'dot' }
+        }] : [],
         showlegend: weapons.length <= 15,
         hovermode: 'closest',
         height: 600
@@ -112,31 +127,68 @@ function createDamageChart(weapons, containerId = 'mainChart') {
     Plotly.newPlot(containerId, traces, layout, CHART_CONFIG);
 }
 
+/**
+ * Build TTK calculation options from the current UI filters
+ * @param {Object} overrides - Options that take precedence over the filters
+ * @returns {Object} Options for calculateWeaponTTK
+ */
+function getTTKOptions(overrides = {}) {
+    const method = (currentFilters && currentFilters.method)
+        ? currentFilters.method
+        : ((currentFilters && currentFilters.includeADS) ? 'ads' : 'hip');
+
+    return {
+        method,
+        recoilImpact: (currentFilters && currentFilters.recoilImpact) || 4,
+        hitModel: (currentFilters && currentFilters.hitModel) || 'body',
+        hitCase: (currentFilters && currentFilters.hitCase) || 'typical',
+        hitDistribution: (currentFilters && currentFilters.hitDistribution) || DEFAULT_HIT_DISTRIBUTION,
+        falloff: (currentFilters && currentFilters.falloff) || 'step',
+        target: (currentFilters && currentFilters.target) || DEFAULT_TARGET_PROFILE,
+        ...overrides
+    };
+}
+
+/**
+ * Get a human readable label for TTK options
+ * @param {Object} options - Options from getTTKOptions
+ * @returns {string} Label such as "Hip Fire" or "ADS, Hits 20/70/10 Typical, vs Hardcore (60 HP)"
+ */
+function getTTKMethodLabel(options = getTTKOptions()) {
+    const impact = options.recoilImpact || 4;
+    let label = options.method === 'ads' ? 'ADS' : (options.method === 'recoil' ? `Recoil Adjusted (Impact ${impact})` : 'Hip Fire');
+
+    if (options.hitModel === 'distribution') {
+        const shares = normalizeHitDistribution(options.hitDistribution);
+        const split = HIT_ZONES.map(zone => Math.round(shares[zone] * 100)).join('/');
+        const hitCase = (options.hitCase || 'typical').replace(/^./, c => c.toUpperCase());
+        label += `, Hits ${split} ${hitCase}`;
+    }
+
+    if (options.target && options.target !== DEFAULT_TARGET_PROFILE) {
+        label += `, vs ${getTargetProfile(options.target).label}`;
+    }
+
+    return label;
+}
+
 /**
  * Create TTK comparison chart
  * @param {Array} weapons - Array of weapon objects
- * @param {string} range - Range to compare (e.g., '10M')
+ * @param {string|number} range - Range to compare (e.g., '10M' or a distance in meters)
  * @param {string} containerId - DOM element ID for chart
  */
 function createTTKChart(weapons, range = '10M', containerId = 'ttkChart') {
+    const options = getTTKOptions();
+
     // Filter weapons with valid data for this range
     const validWeapons = weapons.filter(w =>
-        w[range] !== null && w.RPM !== null
+        getWeaponDamageAt(w, range, options.falloff) !== null && w.RPM !== null
     );
 
-    // Calculate TTK for each weapon based on selected method
+    // Calculate TTK for each weapon based on selected method and hit model
     const weaponsWithTTK = validWeapons.map(w => {
-        const method = (currentFilters && currentFilters.method)
-            ? currentFilters.method
-            : ((currentFilters && currentFilters.includeADS) ? 'ads' : 'hip');
-        let ttk;
-        if (method === 'recoil') {
-            ttk = calculateRecoilAdjustedTTK(w[range], w.RPM, w.Precision, w.Control, range, w['Weapon Type'], (currentFilters && currentFilters.recoilImpact) || 4);
-        } else {
-            const adsTime = method === 'ads' ? w.ADS : 0;
-            ttk = calculateTTK(w[range], w.RPM, adsTime);
-        }
-        return { ...w, calculatedTTK: ttk };
+        return { ...w, calculatedTTK: calculateWeaponTTK(w, range, options) };
     }).filter(w => w.calculatedTTK !== null && !isNaN(w.calculatedTTK));
 
     // Sort ascending by TTK (lower is better) and take top 15 for display consistency
@@ -145,12 +197,24 @@ function createTTKChart(weapons, range = '10M', containerId = 'ttkChart') {
     }).slice(0, 15);
 
     const ttksForChart = topWeapons.map(w => w.calculatedTTK);
+    const methodLabel = getTTKMethodLabel(options);
 
-    const method = (currentFilters && currentFilters.method)
-        ? currentFilters.method
-        : ((currentFilters && currentFilters.includeADS) ? 'ads' : 'hip');
-    const impact = (currentFilters && currentFilters.recoilImpact) || 4;
-    const methodLabel = method === 'ads' ? 'ADS' : (method === 'recoil' ? `Recoil Adjusted (Impact ${impact})` : 'Hip Fire');
+    // Damage and STK at this range, plus the optimal/worst spread when a hit distribution is selected
+    const showSpread = options.hitModel === 'distribution';
+    const details = topWeapons.map(w => {
+        const damage = getWeaponDamageAt(w, range, options.falloff);
+        const stk = calculateWeaponSTK(w, range, options);
+        if (!showSpread) return [damage, stk, '', ''];
+        const profile = calculateHitProfile(w, range, options);
+        return [damage, stk, profile.optimal.ttk, profile.worst.ttk];
+    });
+
+    // Recoil Adjusted: P10-P90 spread from the Monte Carlo simulation as error bars
+    const showSimulation = options.method === 'recoil';
+    const simulations = showSimulation ? topWeapons.map(w => simulateRecoilTTK(w, range, options)) : [];
+    simulations.forEach((sim, i) => {
+        details[i].push(sim ? sim.median : '', sim ? sim.p10 : '', sim ? sim.p90 : '');
+    });
 
     const trace = {
         x: ttksForChart,
@@ -161,17 +225,33 @@ function createTTKChart(weapons, range = '10M', containerId = 'ttkChart') {
             color: topWeapons.map(w => getWeaponTypeColor(w['Weapon Type'])),
             line: { width: 1, color: '#fff' }
         },
+        customdata: details,
         hovertemplate:
             `<b>%{y}</b><br>` +
             `TTK: %{x}ms<br>` +
+            `Damage: %{customdata[0]} (STK %{customdata[1]})<br>` +
+            (showSpread ? `Optimal: %{customdata[2]}ms<br>Worst: %{customdata[3]}ms<br>` : '') +
+            (showSimulation ? `Simulated median: %{customdata[4]}ms (P10 %{customdata[5]} / P90 %{customdata[6]})<br>` : '') +
             `Method: ${methodLabel}<br>` +
             `<extra></extra>`
     };
 
+    if (showSimulation) {
+        trace.error_x = {
+            type: 'data',
+            symmetric: false,
+            array: topWeapons.map((w, i) => simulations[i] ? Math.max(0, Math.round((simulations[i].p90 - w.calculatedTTK) * 10) / 10) : 0),
+            arrayminus: topWeapons.map((w, i) => simulations[i] ? Math.max(0, Math.round((w.calculatedTTK - simulations[i].p10) * 10) / 10) : 0),
+            color: '#ccc',
+            thickness: 1.5,
+            width: 4
+        };
+    }
+
     const layout = {
         ...CHART_LAYOUT_DEFAULTS,
         title: {
-            text: `Time-to-Kill at ${range} (${methodLabel})`,
+            text: `Time-to-Kill at ${formatRangeLabel(range)} (${methodLabel})`,
             font: { size: 16, color: '#fff' }
         },
         xaxis: {
@@ -193,37 +273,118 @@ function createTTKChart(weapons, range = '10M', containerId = 'ttkChart') {
     Plotly.newPlot(containerId, [trace], layout, CHART_CONFIG);
 }
 
+/**
+ * Create TTK vs distance line chart for a handful of weapons (e.g. loadouts)
+ * @param {Array} weapons - Array of weapon objects
+ * @param {string} containerId - DOM element ID for chart
+ * @param {string} title - Chart title
+ * @param {Array<number>} markers - Distances (meters) to mark with dotted lines, e.g. crossovers
+ */
+function createTTKRangeChart(weapons, containerId, title = 'TTK vs Range', markers = []) {
+    const options = getTTKOptions();
+    const distances = Array.from({ length: MAX_DISTANCE }, (_, i) => i + 1);
+    const palette = ['#00ff88', '#00d9ff', '#ffaa00', '#ff3366', '#9B59B6'];
+
+    const traces = weapons.map((weapon, index) => ({
+        x: distances,
+        y: distances.map(d => calculateWeaponTTK(weapon, d, options)),
+        type: 'scatter',
+        mode: 'lines',
+        name: weapon.Weapon,
+        line: {
+            color: palette[index % palette.length],
+            width: 3,
+            shape: options.falloff === 'linear' ? 'linear' : 'hv'
+        },
+        hovertemplate:
+            `<b>${weapon.Weapon}</b><br>` +
+            `Range: %{x}m<br>` +
+            `TTK: %{y}ms<br>` +
+            `<extra></extra>`
+    }));
+
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: `${title} (${getTTKMethodLabel(options)})`,
+            font: { size: 16, color: '#fff' }
+        },
+        xaxis: {
+            title: 'Range (m)',
+            gridcolor: '#333',
+            color: '#ccc',
+            range: [0, MAX_DISTANCE]
+        },
+        yaxis: {
+            title: 'TTK (milliseconds)',
+            gridcolor: '#333',
+            color: '#ccc',
+            rangemode: 'tozero'
+        },
+        legend: {
+            x: 0.02,
+            y: 0.98,
+            font: { color: '#ccc' }
+        },
+        hovermode: 'x unified',
+        showlegend: true,
+        shapes: markers.map(distance => ({
+            type: 'line',
+            xref: 'x',
+            yref: 'paper',
+            x0: distance,
+            x1: distance,
+            y0: 0,
+            y1: 1,
+            line: { color: '#FFD700', width: 2, dash: 'dot' }
+        }))
+    };
+
+    Plotly.newPlot(containerId, traces, layout, CHART_CONFIG);
+}
+
 /**
  * Create RPM vs DPS scatter plot
+ * DPS is derived from damage × RPM / 60 at the chosen range; weapons whose CSV DPS
+ * disagrees are drawn as diamonds with the reported value in the hover.
  * @param {Array} weapons - Array of weapon objects
  * @param {string} containerId - DOM element ID for chart
+ * @param {string|number} range - One of RANGES, or a distance in meters (uses the selected falloff)
  */
-function createRPMvsDPSChart(weapons, containerId = 'dpsChart') {
+function createRPMvsDPSChart(weapons, containerId = 'dpsChart', range = '10M') {
     const weaponTypes = [...new Set(weapons.map(w => w['Weapon Type']))];
+    const falloff = getTTKOptions().falloff;
+    const dpsAt = weapon => calculateDPS(getWeaponDamageAt(weapon, range, falloff), weapon.RPM);
 
     const traces = weaponTypes.map(type => {
         const typeWeapons = weapons.filter(w =>
             w['Weapon Type'] === type &&
             w.RPM !== null &&
-            w.DPS !== null
+            dpsAt(w) !== null
         );
 
         return {
             x: typeWeapons.map(w => w.RPM),
-            y: typeWeapons.map(w => w.DPS),
+            y: typeWeapons.map(dpsAt),
             type: 'scatter',
             mode: 'markers',
             name: type,
             marker: {
                 color: getWeaponTypeColor(type),
                 size: 12,
+                symbol: typeWeapons.map(w => (w.dpsMismatch ? 'diamond' : 'circle')),
                 line: { width: 2, color: '#fff' }
             },
             text: typeWeapons.map(w => w.Weapon),
+            customdata: typeWeapons.map(w => [
+                formatNumber(w.ReportedDPS),
+                w.dpsMismatch ? ' ⚠ differs from damage × RPM' : ''
+            ]),
             hovertemplate:
                 `<b>%{text}</b><br>` +
                 `RPM: %{x}<br>` +
                 `DPS: %{y}<br>` +
+                `Reported DPS: %{customdata[0]}%{customdata[1]}<br>` +
                 `<extra></extra>`
         };
     });
@@ -231,7 +392,7 @@ function createRPMvsDPSChart(weapons, containerId = 'dpsChart') {
     const layout = {
         ...CHART_LAYOUT_DEFAULTS,
         title: {
-            text: 'RPM vs DPS',
+            text: `RPM vs DPS (${formatRangeLabel(range)})`,
             font: { size: 16, color: '#fff' }
         },
         xaxis: {
@@ -255,6 +416,248 @@ function createRPMvsDPSChart(weapons, containerId = 'dpsChart') {
     Plotly.newPlot(containerId, traces, layout, CHART_CONFIG);
 }
 
+/**
+ * Create histogram of simulated recoil-adjusted TTK for one weapon
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - Range to simulate (e.g., '10M' or a distance in meters)
+ * @param {string} containerId - DOM element ID for chart
+ */
+function createTTKHistogram(weapon, range = '10M', containerId = 'mainChart') {
+    const options = getTTKOptions({ method: 'recoil' });
+    const simulation = weapon ? simulateRecoilTTK(weapon, range, options) : null;
+    const distribution = simulation ? simulation.distribution : [];
+
+    const trace = {
+        x: distribution.map(bin => bin.ttk),
+        y: distribution.map(bin => Math.round(bin.probability * 1000) / 10),
+        type: 'bar',
+        marker: {
+            color: weapon ? getWeaponTypeColor(weapon['Weapon Type']) : '#888',
+            line: { width: 1, color: '#fff' }
+        },
+        customdata: distribution.map(bin => bin.shots),
+        hovertemplate:
+            `TTK: %{x}ms<br>` +
+            `Shots fired: %{customdata}<br>` +
+            `Probability: %{y}%<br>` +
+            `<extra></extra>`
+    };
+
+    // Vertical markers for P10, median and P90
+    const markers = simulation ? [
+        { value: simulation.p10, label: 'P10', dash: 'dot' },
+        { value: simulation.median, label: 'Median', dash: 'solid' },
+        { value: simulation.p90, label: 'P90', dash: 'dot' }
+    ] : [];
+
+    const title = weapon
+        ? `${weapon.Weapon} TTK Distribution at ${formatRangeLabel(range)} (${getTTKMethodLabel(options)})`
+        : 'TTK Distribution';
+
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: title,
+            font: { size: 16, color: '#fff' }
+        },
+        xaxis: {
+            title: 'TTK (milliseconds)',
+            gridcolor: '#333',
+            color: '#ccc'
+        },
+        yaxis: {
+            title: 'Probability (%)',
+            gridcolor: '#333',
+            color: '#ccc'
+        },
+        bargap: 0.1,
+        showlegend: false,
+        shapes: markers.map(marker => ({
+            type: 'line',
+            xref: 'x',
+            yref: 'paper',
+            x0: marker.value,
+            x1: marker.value,
+            y0: 0,
+            y1: 1,
+            line: { color: '#FFD700', width: 2, dash: marker.dash }
+        })),
+        annotations: markers.map(marker => ({
+            x: marker.value,
+            y: 1,
+            xref: 'x',
+            yref: 'paper',
+            text: `${marker.label} ${marker.value}ms`,
+            showarrow: false,
+            yanchor: 'bottom',
+            font: { size: 11, color: '#FFD700' }
+        }))
+    };
+
+    if (simulation) {
+        layout.annotations.push({
+            x: 1,
+            y: 1.08,
+            xref: 'paper',
+            yref: 'paper',
+            xanchor: 'right',
+            text: `Hit chance ${Math.round(simulation.hitProbability * 100)}% · ${simulation.requiredHits} hits to kill · ${simulation.runs} runs (seed ${simulation.seed})`,
+            showarrow: false,
+            font: { size: 11, color: '#ccc' }
+        });
+    }
+
+    Plotly.newPlot(containerId, [trace], layout, CHART_CONFIG);
+}
+
+/**
+ * Create win probability vs distance chart for a simulated duel
+ * @param {Array} results - simulateDuelByDistance results
+ * @param {Array} weapons - [Player A weapon, Player B weapon]
+ * @param {number} focusDistance - Distance (meters) marked with a vertical line
+ * @param {string} containerId - DOM element ID for chart
+ */
+function createDuelChart(results, weapons, focusDistance = null, containerId = 'duelChart') {
+    const valid = results.filter(result => result !== null);
+    const playerNames = ['Player A', 'Player B'];
+
+    const traces = playerNames.map((playerName, i) => ({
+        x: valid.map(result => result.distance),
+        y: valid.map(result => Math.round(result.players[i].winProbability * 1000) / 10),
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: `${playerName}: ${weapons[i].Weapon}`,
+        line: {
+            color: getWeaponTypeColor(weapons[i]['Weapon Type']),
+            width: 3,
+            dash: i === 0 ? 'solid' : 'dash'
+        },
+        marker: { size: 6 },
+        customdata: valid.map(result => [result.players[i].medianKillTime, result.margin]),
+        hovertemplate:
+            `<b>${weapons[i].Weapon}</b><br>` +
+            `Distance: %{x}m<br>` +
+            `Win probability: %{y}%<br>` +
+            `Median kill time: %{customdata[0]}ms<br>` +
+            `Winner margin: %{customdata[1]}ms<br>` +
+            `<extra></extra>`
+    }));
+
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: 'Duel Win Probability by Distance',
+            font: { size: 16, color: '#fff' }
+        },
+        xaxis: {
+            title: 'Distance (meters)',
+            gridcolor: '#333',
+            color: '#ccc',
+            range: [0, MAX_DISTANCE]
+        },
+        yaxis: {
+            title: 'Win Probability (%)',
+            gridcolor: '#333',
+            color: '#ccc',
+            range: [0, 100]
+        },
+        legend: {
+            font: { color: '#ccc' }
+        },
+        showlegend: true,
+        shapes: focusDistance == null ? [] : [{
+            type: 'line',
+            xref: 'x',
+            yref: 'paper',
+            x0: focusDistance,
+            x1: focusDistance,
+            y0: 0,
+            y1: 1,
+            line: { color: '#FFD700', width: 2, dash: 'dot' }
+        }]
+    };
+
+    Plotly.newPlot(containerId, traces, layout, CHART_CONFIG);
+}
+
+/**
+ * Create multi-kill chart: time to kill 1, 2 and 3 enemies in a row, including reloads
+ * @param {Array} weapons - Array of weapon objects
+ * @param {string|number} range - Range to compare (e.g., '10M' or a distance in meters)
+ * @param {string} containerId - DOM element ID for chart
+ */
+function createMultiKillChart(weapons, range = '10M', containerId = 'mainChart') {
+    const options = getTTKOptions();
+    const methodLabel = getTTKMethodLabel(options);
+    const enemyCounts = [1, 2, 3];
+    const maxEnemies = enemyCounts[enemyCounts.length - 1];
+
+    // Only weapons with magazine (and, when needed, reload) data can be analysed
+    const rows = weapons
+        .map(w => ({
+            weapon: w,
+            results: enemyCounts.map(n => calculateMultiKillTime(w, range, n, options))
+        }))
+        .filter(row => row.results.every(result => result !== null))
+        .sort((a, b) => a.results[maxEnemies - 1].time - b.results[maxEnemies - 1].time)
+        .slice(0, 15);
+
+    const traces = enemyCounts.map((n, i) => ({
+        x: rows.map(row => row.results[i].time),
+        y: rows.map(row => row.weapon.Weapon),
+        type: 'bar',
+        orientation: 'h',
+        name: n === 1 ? '1 enemy' : `${n} enemies`,
+        customdata: rows.map(row => [row.results[i].reloads, row.results[i].killsPerMag, row.weapon.Mag]),
+        hovertemplate:
+            `<b>%{y}</b><br>` +
+            `${n} ${n === 1 ? 'kill' : 'kills'}: %{x}ms<br>` +
+            `Reloads: %{customdata[0]}<br>` +
+            `Kills per mag: %{customdata[1]} (Mag %{customdata[2]})<br>` +
+            `<extra></extra>`
+    }));
+
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: `Multi-Kill Time at ${formatRangeLabel(range)} incl. Reloads (${methodLabel})`,
+            font: { size: 16, color: '#fff' }
+        },
+        barmode: 'group',
+        xaxis: {
+            title: 'Time (milliseconds)',
+            gridcolor: '#333',
+            color: '#ccc'
+        },
+        yaxis: {
+            title: '',
+            gridcolor: '#333',
+            color: '#ccc',
+            automargin: true,
+            autorange: 'reversed'
+        },
+        legend: {
+            font: { color: '#ccc' }
+        },
+        showlegend: true,
+        height: Math.max(400, rows.length * 40)
+    };
+
+    if (rows.length === 0) {
+        layout.annotations = [{
+            text: 'No magazine / reload data available yet.<br>Add Mag, Reload and Reload Empty values to data/ttk.csv.',
+            xref: 'paper',
+            yref: 'paper',
+            x: 0.5,
+            y: 0.5,
+            showarrow: false,
+            font: { size: 14, color: '#ccc' }
+        }];
+    }
+
+    Plotly.newPlot(containerId, traces, layout, CHART_CONFIG);
+}
+
 /**
  * Create heatmap showing weapon performance across ranges
  * @param {Array} weapons - Array of weapon objects
@@ -264,9 +667,10 @@ function createRangeHeatmap(weapons, containerId = 'mainChart') {
     const weaponNames = weapons.map(w => w.Weapon);
     const ranges = RANGES.map(r => r.replace('M', 'm'));
 
-    // Create TTK matrix
+    // Create TTK matrix with the selected method and hit model
+    const options = getTTKOptions();
     const ttkMatrix = weapons.map(weapon =>
-        RANGES.map(range => weapon[`TTK_${range}`] || null)
+        RANGES.map(range => calculateWeaponTTK(weapon, range, options) || null)
     );
 
     const trace = {
@@ -296,7 +700,7 @@ function createRangeHeatmap(weapons, containerId = 'mainChart') {
     const layout = {
         ...CHART_LAYOUT_DEFAULTS,
         title: {
-            text: 'TTK Heatmap by Range',
+            text: `TTK Heatmap by Range (${getTTKMethodLabel(options)})`,
             font: { size: 20, color: '#fff' }
         },
         xaxis: {
@@ -316,26 +720,39 @@ function createRangeHeatmap(weapons, containerId = 'mainChart') {
     Plotly.newPlot(containerId, [trace], layout, CHART_CONFIG);
 }
 
+// Metrics available in the weapon type comparison chart
+const TYPE_COMPARISON_METRICS = {
+    'avg-damage': { label: 'Average Damage', axis: 'Average Damage', unit: '' },
+    'avg-ttk': { label: 'Average TTK', axis: 'Average TTK (milliseconds)', unit: 'ms' },
+    'median-ttk': { label: 'Median TTK', axis: 'Median TTK (milliseconds)', unit: 'ms' }
+};
+
 /**
- * Create weapon type comparison chart (average stats by type)
+ * Create weapon type comparison chart (average damage, average TTK or median TTK by type)
  * @param {Array} weapons - Array of weapon objects
  * @param {string} containerId - DOM element ID for chart
+ * @param {string} metric - 'avg-damage' | 'avg-ttk' | 'median-ttk'
  */
-function createWeaponTypeComparison(weapons, containerId = 'mainChart') {
+function createWeaponTypeComparison(weapons, containerId = 'mainChart', metric = 'avg-damage') {
     const types = [...new Set(weapons.map(w => w['Weapon Type']))];
+    const metricInfo = TYPE_COMPARISON_METRICS[metric] || TYPE_COMPARISON_METRICS['avg-damage'];
+    const options = getTTKOptions();
+    const isTTK = metric === 'avg-ttk' || metric === 'median-ttk';
 
     const traces = RANGES.map((range, index) => {
-        const avgDamages = types.map(type => {
-            const typeWeapons = weapons.filter(w =>
-                w['Weapon Type'] === type && w[range] !== null
-            );
-            if (typeWeapons.length === 0) return 0;
-            return typeWeapons.reduce((sum, w) => sum + w[range], 0) / typeWeapons.length;
+        const values = types.map(type => {
+            const typeValues = weapons
+                .filter(w => w['Weapon Type'] === type)
+                .map(w => (isTTK ? calculateWeaponTTK(w, range, options) : w[range]))
+                .filter(value => value !== null);
+            if (typeValues.length === 0) return null;
+            if (metric === 'median-ttk') return getMedian(typeValues);
+            return typeValues.reduce((sum, value) => sum + value, 0) / typeValues.length;
         });
 
         return {
             x: types,
-            y: avgDamages,
+            y: values,
             type: 'bar',
             name: range.replace('M', 'm'),
             marker: {
@@ -344,7 +761,7 @@ function createWeaponTypeComparison(weapons, containerId = 'mainChart') {
             hovertemplate:
                 `<b>%{x}</b><br>` +
                 `Range: ${range}<br>` +
-                `Avg Damage: %{y:.1f}<br>` +
+                `${metricInfo.label}: %{y:.1f}${metricInfo.unit}<br>` +
                 `<extra></extra>`
         };
     });
@@ -352,7 +769,7 @@ function createWeaponTypeComparison(weapons, containerId = 'mainChart') {
     const layout = {
         ...CHART_LAYOUT_DEFAULTS,
         title: {
-            text: 'Average Damage by Weapon Type',
+            text: `${metricInfo.label} by Weapon Type${isTTK ? ` (${getTTKMethodLabel(options)})` : ''}`,
             font: { size: 20, color: '#fff' }
         },
         xaxis: {
@@ -361,7 +778,7 @@ function createWeaponTypeComparison(weapons, containerId = 'mainChart') {
             color: '#ccc'
         },
         yaxis: {
-            title: 'Average Damage',
+            title: metricInfo.axis,
             gridcolor: '#333',
             color: '#ccc'
         },
@@ -376,6 +793,360 @@ function createWeaponTypeComparison(weapons, containerId = 'mainChart') {
     Plotly.newPlot(containerId, traces, layout, CHART_CONFIG);
 }
 
+// Metrics offered by the weapon trend view
+const TREND_METRICS = {
+    ttk: { label: 'TTK', axis: 'TTK (milliseconds)', unit: 'ms' },
+    damage: { label: 'Damage', axis: 'Damage per shot', unit: '' },
+    rpm: { label: 'RPM', axis: 'Rounds per minute', unit: '' }
+};
+
+/**
+ * Create a line chart of weapon stats across patches
+ * The meta leader (lowest TTK at the range) of each patch is drawn as gold stars.
+ * @param {Array} snapshots - [{ patch, weapons }] from loadPatchSnapshots, oldest first
+ * @param {Array<string>} weaponNames - Weapons to plot
+ * @param {string} metric - Key of TREND_METRICS
+ * @param {string} range - One of RANGES
+ * @param {string} containerId - DOM element ID for chart
+ */
+function createWeaponTrendChart(snapshots, weaponNames, metric = 'ttk', range = '10M', containerId = 'trendChart') {
+    const options = getTTKOptions();
+    const metricInfo = TREND_METRICS[metric] || TREND_METRICS.ttk;
+    const patchLabels = snapshots.map(snapshot => snapshot.patch.name);
+    const patchDates = snapshots.map(snapshot => snapshot.patch.date || 'undated');
+    const findWeapon = (snapshot, name) => snapshot.weapons.find(w => w.Weapon === name) || null;
+
+    const traces = weaponNames.map(name => {
+        const weapons = snapshots.map(snapshot => findWeapon(snapshot, name));
+        const type = (weapons.find(Boolean) || {})['Weapon Type'];
+        return {
+            x: patchLabels,
+            y: weapons.map(w => (w ? getWeaponTrendValue(w, metric, range, options) : null)),
+            type: 'scatter',
+            mode: 'lines+markers',
+            name,
+            connectgaps: false,
+            line: { width: 3, color: getWeaponTypeColor(type) },
+            marker: { size: 8 },
+            customdata: patchDates,
+            hovertemplate:
+                `<b>${name}</b><br>` +
+                `%{x} (%{customdata})<br>` +
+                `${metricInfo.label}: %{y}${metricInfo.unit}<br>` +
+                `<extra></extra>`
+        };
+    });
+
+    // Meta leader of each patch, plotted with its value for the chosen metric
+    const leaders = snapshots.map(snapshot => getMetaLeaders(snapshot.weapons, options)[range]);
+    traces.push({
+        x: patchLabels,
+        y: leaders.map((leader, i) => (leader
+            ? getWeaponTrendValue(findWeapon(snapshots[i], leader.weapon), metric, range, options)
+            : null)),
+        type: 'scatter',
+        mode: 'markers+text',
+        name: `Meta leader (${formatRangeLabel(range)})`,
+        text: leaders.map(leader => (leader ? leader.weapon : '')),
+        textposition: 'top center',
+        textfont: { color: '#ffaa00' },
+        marker: { symbol: 'star', size: 16, color: '#ffaa00', line: { width: 1, color: '#fff' } },
+        customdata: leaders.map(leader => (leader ? leader.ttk : null)),
+        hovertemplate:
+            `<b>Meta leader: %{text}</b><br>` +
+            `%{x}<br>` +
+            `TTK: %{customdata}ms<br>` +
+            `<extra></extra>`
+    });
+
+    const isTTK = metric === 'ttk';
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: `${metricInfo.label} at ${formatRangeLabel(range)} across Patches${isTTK ? ` (${getTTKMethodLabel(options)})` : ''}`,
+            font: { size: 16, color: '#fff' }
+        },
+        xaxis: {
+            title: 'Patch',
+            type: 'category',
+            gridcolor: '#333',
+            color: '#ccc'
+        },
+        yaxis: {
+            title: metricInfo.axis,
+            gridcolor: '#333',
+            color: '#ccc'
+        },
+        legend: {
+            x: 1.02,
+            y: 1,
+            font: { color: '#ccc' }
+        }
+    };
+
+    Plotly.newPlot(containerId, traces, layout, CHART_CONFIG);
+}
+
+/**
+ * Create a bar chart of TTK changes between two patches at the diff's focus range
+ * Faster TTK (negative delta) is drawn green, slower red; weapons without a change are left out.
+ * @param {Object} diff - Result of diffPatches
+ * @param {string} containerId - DOM element ID for chart
+ * @param {string} title - Chart title
+ */
+function createPatchDeltaChart(diff, containerId = 'patchDeltaChart', title = 'TTK Change by Weapon') {
+    const changed = diff.weapons
+        .filter(entry => entry.focus.delta !== null && entry.focus.delta !== 0)
+        .sort((a, b) => a.focus.delta - b.focus.delta);
+
+    const trace = {
+        x: changed.map(entry => entry.focus.delta),
+        y: changed.map(entry => entry.weapon),
+        type: 'bar',
+        orientation: 'h',
+        marker: {
+            color: changed.map(entry => (entry.focus.delta < 0 ? '#00ff88' : '#ff3366')),
+            line: { width: 1, color: '#fff' }
+        },
+        customdata: changed.map(entry => [
+            entry.focus.from,
+            entry.focus.to,
+            entry.rank.from !== null ? `#${entry.rank.from}` : '—',
+            entry.rank.to !== null ? `#${entry.rank.to}` : '—'
+        ]),
+        hovertemplate:
+            `<b>%{y}</b><br>` +
+            `TTK: %{customdata[0]}ms → %{customdata[1]}ms (%{x:+}ms)<br>` +
+            `Rank: %{customdata[2]} → %{customdata[3]}<br>` +
+            `<extra></extra>`
+    };
+
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: `${title} (${formatRangeLabel(diff.range)}, ${getTTKMethodLabel()})`,
+            font: { size: 16, color: '#fff' }
+        },
+        xaxis: {
+            title: 'TTK change (milliseconds, negative = faster)',
+            gridcolor: '#333',
+            color: '#ccc',
+            zeroline: true,
+            zerolinecolor: '#888'
+        },
+        yaxis: {
+            title: '',
+            gridcolor: '#333',
+            color: '#ccc',
+            automargin: true,
+            autorange: 'reversed' // biggest buffs at the top
+        },
+        showlegend: false,
+        height: Math.max(300, changed.length * 25 + 120)
+    };
+
+    Plotly.newPlot(containerId, [trace], layout, CHART_CONFIG);
+}
+
+/**
+ * Create expected TTK ranking chart for an engagement profile
+ * @param {Array} ranking - Ranking from rankByExpectedTTK (fastest first)
+ * @param {string} containerId - DOM element ID for chart
+ * @param {string} profileLabel - Engagement profile name for the title
+ * @param {number} limit - Number of weapons to show
+ */
+function createExpectedTTKChart(ranking, containerId = 'engagementChart', profileLabel = '', limit = 20) {
+    const top = ranking.slice(0, limit);
+    const bandText = entry => entry.bands
+        .filter(band => band.share > 0)
+        .map(band => `${band.id}m: ${Math.round(band.ttk)}ms (${Math.round(band.share * 100)}%)`)
+        .join('<br>');
+
+    const trace = {
+        x: top.map(entry => entry.ttk),
+        y: top.map(entry => entry.weapon),
+        type: 'bar',
+        orientation: 'h',
+        marker: {
+            color: top.map(entry => getWeaponTypeColor(entry.type)),
+            line: { width: 1, color: '#fff' }
+        },
+        customdata: top.map(entry => [entry.type, bandText(entry)]),
+        hovertemplate:
+            `<b>%{y}</b> (%{customdata[0]})<br>` +
+            `Expected TTK: %{x}ms<br>` +
+            `%{customdata[1]}<br>` +
+            `<extra></extra>`
+    };
+
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: `Expected TTK: ${profileLabel} (${getTTKMethodLabel()})`,
+            font: { size: 16, color: '#fff' }
+        },
+        xaxis: {
+            title: 'Expected TTK (milliseconds)',
+            gridcolor: '#333',
+            color: '#ccc'
+        },
+        yaxis: {
+            title: '',
+            gridcolor: '#333',
+            color: '#ccc',
+            automargin: true,
+            autorange: 'reversed' // fastest at the top
+        },
+        showlegend: false,
+        height: Math.max(400, top.length * 25)
+    };
+
+    Plotly.newPlot(containerId, [trace], layout, CHART_CONFIG);
+}
+
+/**
+ * Create "best weapon by distance" band chart
+ * @param {Array} rows - [{ label, segments }] with segments from getBestWeaponByDistance, one band per row
+ * @param {string} containerId - DOM element ID for chart
+ * @param {number} maxDistance - Furthest distance shown (meters)
+ */
+function createBestWeaponChart(rows, containerId = 'bestWeaponChart', maxDistance = MAX_DISTANCE) {
+    const palette = ['#00ff88', '#00d9ff', '#ffaa00', '#ff3366', '#9B59B6', '#f1c40f', '#1abc9c', '#e67e22'];
+    const colors = new Map(); // Same weapon, same color in every band
+    const segments = rows.flatMap(row => row.segments.map(segment => ({ ...segment, row: row.label })));
+    segments.forEach(segment => {
+        if (!colors.has(segment.weapon)) {
+            colors.set(segment.weapon, palette[colors.size % palette.length]);
+        }
+    });
+
+    const trace = {
+        x: segments.map(segment => segment.end - segment.start + 1),
+        base: segments.map(segment => segment.start - 1),
+        y: segments.map(segment => segment.row),
+        type: 'bar',
+        orientation: 'h',
+        text: segments.map(segment => segment.weapon),
+        textposition: 'inside',
+        insidetextanchor: 'middle',
+        marker: {
+            color: segments.map(segment => colors.get(segment.weapon)),
+            line: { width: 1, color: '#111' }
+        },
+        customdata: segments.map(segment => [segment.start, segment.end, segment.ttkStart, segment.ttkEnd, segment.type]),
+        hovertemplate:
+            `<b>%{text}</b> (%{customdata[4]})<br>` +
+            `Fastest from %{customdata[0]}m to %{customdata[1]}m<br>` +
+            `TTK: %{customdata[2]}ms → %{customdata[3]}ms<br>` +
+            `<extra></extra>`
+    };
+
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: `Best Weapon by Distance (${getTTKMethodLabel()})`,
+            font: { size: 16, color: '#fff' }
+        },
+        xaxis: {
+            title: 'Distance (meters)',
+            range: [0, maxDistance],
+            tickvals: [0, ...RANGES.map(getRangeDistance), maxDistance],
+            gridcolor: '#333',
+            color: '#ccc'
+        },
+        yaxis: {
+            title: '',
+            gridcolor: '#333',
+            color: '#ccc',
+            automargin: true,
+            autorange: 'reversed' // rows in the given order, top to bottom
+        },
+        bargap: 0.3,
+        showlegend: false,
+        height: Math.max(250, rows.length * 45 + 120)
+    };
+
+    Plotly.newPlot(containerId, [trace], layout, CHART_CONFIG);
+}
+
+/**
+ * Create the weapon detail chart: damage profile plus TTK for all three methods
+ * @param {Object} weapon - Weapon data object
+ * @param {string} containerId - DOM element ID for chart
+ */
+function createWeaponDetailChart(weapon, containerId = 'detailChart') {
+    const options = getTTKOptions();
+    const shape = options.falloff === 'linear' ? 'linear' : 'hv';
+    const curve = getDamageCurve(weapon, options.falloff);
+    const distances = Array.from({ length: MAX_DISTANCE }, (_, i) => i + 1);
+    const methods = [
+        { method: 'hip', label: 'TTK Hip Fire', color: '#00ff88' },
+        { method: 'ads', label: 'TTK ADS', color: '#00d9ff' },
+        { method: 'recoil', label: 'TTK Recoil Adjusted', color: '#ffaa00' }
+    ];
+
+    const traces = [
+        {
+            x: curve.x,
+            y: curve.y,
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: 'Damage',
+            line: { color: '#ff3366', width: 3, shape },
+            marker: { size: curve.sampled.map(sampled => (sampled ? 8 : 0)) },
+            hovertemplate: `Range: %{x}m<br>Damage: %{y}<br><extra></extra>`
+        },
+        ...methods.map(({ method, label, color }) => ({
+            x: distances,
+            y: distances.map(d => calculateWeaponTTK(weapon, d, { ...options, method })),
+            type: 'scatter',
+            mode: 'lines',
+            name: label,
+            yaxis: 'y2',
+            line: { color, width: 2, shape, dash: method === 'hip' ? 'solid' : 'dash' },
+            hovertemplate: `Range: %{x}m<br>${label}: %{y}ms<br><extra></extra>`
+        }))
+    ];
+
+    const layout = {
+        ...CHART_LAYOUT_DEFAULTS,
+        title: {
+            text: `${weapon.Weapon}: Damage and TTK by Range`,
+            font: { size: 16, color: '#fff' }
+        },
+        xaxis: {
+            title: 'Range (m)',
+            gridcolor: '#333',
+            color: '#ccc',
+            range: [0, MAX_DISTANCE]
+        },
+        yaxis: {
+            title: 'Damage per shot',
+            gridcolor: '#333',
+            color: '#ccc',
+            rangemode: 'tozero'
+        },
+        yaxis2: {
+            title: 'TTK (milliseconds)',
+            overlaying: 'y',
+            side: 'right',
+            color: '#ccc',
+            rangemode: 'tozero',
+            showgrid: false
+        },
+        margin: { ...CHART_LAYOUT_DEFAULTS.margin, r: 70 },
+        legend: {
+            orientation: 'h',
+            y: -0.2,
+            font: { color: '#ccc' }
+        },
+        hovermode: 'x unified',
+        showlegend: true
+    };
+
+    Plotly.newPlot(containerId, traces, layout, CHART_CONFIG);
+}
+
 /**
  * Update chart with new data
  * @param {string} chartType - Type of chart to update
@@ -391,13 +1162,19 @@ function updateChart(chartType, weapons, options = {}) {
             createTTKChart(weapons, options.range || '10M', options.containerId || 'mainChart');
             break;
         case 'rpm-dps':
-            createRPMvsDPSChart(weapons, options.containerId || 'mainChart');
+            createRPMvsDPSChart(weapons, options.containerId || 'mainChart', options.range || '10M');
+            break;
+        case 'multi-kill':
+            createMultiKillChart(weapons, options.range || '10M', options.containerId || 'mainChart');
+            break;
+        case 'histogram':
+            createTTKHistogram(options.weapon || weapons[0], options.range || '10M', options.containerId || 'mainChart');
             break;
         case 'heatmap':
             createRangeHeatmap(weapons, options.containerId || 'mainChart');
             break;
         case 'type-comparison':
-            createWeaponTypeComparison(weapons, options.containerId || 'mainChart');
+            createWeaponTypeComparison(weapons, options.containerId || 'mainChart', options.metric);
             break;
         default:
             console.warn('Unknown chart type:', chartType);
@@ -462,25 +1239,40 @@ function initializeCharts(weapons) {
 /**
  * Export chart as image
  * @param {string} containerId - DOM element ID
- * @param {string} filename - Desired filename
+ * @param {string} filename - Desired filename (Plotly adds the extension)
+ * @param {string} format - 'png' | 'svg'
+ * @returns {Promise} Resolves once the download has started
  */
-function exportChartAsImage(containerId, filename = 'chart.png') {
-    Plotly.downloadImage(containerId, {
-        format: 'png',
+function exportChartAsImage(containerId, filename = 'chart', format = 'png') {
+    return Plotly.downloadImage(containerId, {
+        format,
         width: 1200,
         height: 800,
-        filename: filename
+        filename: filename.replace(/\.(png|svg)$/i, '')
     });
 }
 
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        getTTKOptions,
+        getTTKMethodLabel,
         createDamageChart,
         createTTKChart,
+        createTTKRangeChart,
         createRPMvsDPSChart,
+        createMultiKillChart,
+        createTTKHistogram,
+        createDuelChart,
+        TYPE_COMPARISON_METRICS,
         createRangeHeatmap,
         createWeaponTypeComparison,
+        TREND_METRICS,
+        createWeaponTrendChart,
+        createPatchDeltaChart,
+        createExpectedTTKChart,
+        createBestWeaponChart,
+        createWeaponDetailChart,
         updateChart,
         clearChart,
         applyChartTheme,
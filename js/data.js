@@ -6,50 +6,434 @@
 // Global data store
 let weaponsData = [];
 let filteredData = [];
+let attachmentsData = [];
+let dataHealthReport = null; // validateWeaponRows report for the loaded ttk.csv
+let patchesData = []; // Patches from data/patches/manifest.json, oldest first
+let currentPatchId = ''; // Patch whose weapons are in weaponsData
+const patchResultsCache = {}; // Papa Parse results by patch id
+let customImport = null; // Imported weapon file applied on top of the active patch (see setCustomImport)
+let customEngagementProfiles = []; // Engagement profiles saved by the user ({ id, label, shares })
+let weaponEditUndo = []; // Stat edits from the weapon table editor ({ weapon, key, from, to }), newest last
+let weaponEditRedo = []; // Undone edits, newest last
+const weaponEditOriginals = new Map(); // Dataset values of edited stats: weapon name → { [key]: value }
+
+// Weapon table fields that can be edited in the stat editor, mapped to the weapon key they change
+const EDITABLE_WEAPON_FIELDS = {
+    ...Object.fromEntries(RANGES.map(range => [`damage@${range}`, range])),
+    rpm: 'RPM',
+    ads: 'ADS',
+    precision: 'Precision',
+    control: 'Control'
+};
+
+// Columns of data/ttk.csv, in file order (used when exporting edited data)
+const WEAPON_CSV_COLUMNS = ['Weapon Type', 'Weapon', ...RANGES, 'RPM', 'DPS', 'ADS', 'Precision', 'Control', 'Head', 'Limb', 'Mag', 'Reload', 'Reload Empty'];
+
+// Dataset used when there is no patch manifest
+const DEFAULT_PATCH = { id: 'current', name: 'Current', date: '', file: 'data/ttk.csv' };
+
+// Stats compared between patches; better decides whether a change is a buff or a nerf
+const PATCH_DIFF_STATS = [
+    ...RANGES.map(range => ({ field: range, label: `Damage (${range})`, better: 'higher' })),
+    { field: 'RPM', label: 'RPM', better: 'higher' },
+    { field: 'ADS', label: 'ADS (ms)', better: 'lower' },
+    { field: 'Precision', label: 'Precision', better: 'higher' },
+    { field: 'Control', label: 'Control', better: 'higher' },
+    { field: 'Head', label: 'Head multiplier', better: 'higher' },
+    { field: 'Limb', label: 'Limb multiplier', better: 'higher' },
+    { field: 'Mag', label: 'Mag', better: 'higher' },
+    { field: 'Reload', label: 'Reload (ms)', better: 'lower' },
+    { field: 'Reload Empty', label: 'Reload empty (ms)', better: 'lower' }
+];
+
+// Attachment slots, in display order (one attachment per slot)
+const ATTACHMENT_SLOTS = ['Muzzle', 'Barrel', 'Underbarrel', 'Ammo'];
+
+// Weapon fields shown in the weapon table and used for sorting.
+// Per-range fields use ids like 'ttk@20M'; value(weapon, options) receives calculateWeaponTTK options.
+const WEAPON_FIELDS = [
+    { id: 'type', label: 'Type', group: 'General', value: weapon => weapon['Weapon Type'] },
+    { id: 'weapon', label: 'Weapon', group: 'General', value: weapon => weapon.Weapon },
+    ...RANGES.map(range => ({
+        id: `damage@${range}`, label: range, group: 'Damage', numeric: true,
+        value: weapon => weapon[range]
+    })),
+    { id: 'avgDamage', label: 'Avg Damage', group: 'Damage', numeric: true, value: weapon => weapon.averageDamage },
+    { id: 'dropoff', label: 'Drop-off %', group: 'Damage', numeric: true, value: weapon => getDamageDropoff(weapon, '10M', '70M') },
+    { id: 'rpm', label: 'RPM', group: 'Handling', numeric: true, value: weapon => weapon.RPM },
+    { id: 'dps', label: 'DPS', group: 'Handling', numeric: true, value: weapon => weapon.DPS },
+    { id: 'reportedDps', label: 'Reported DPS', group: 'Handling', numeric: true, value: weapon => weapon.ReportedDPS },
+    { id: 'ads', label: 'ADS (ms)', group: 'Handling', numeric: true, value: weapon => weapon.ADS },
+    { id: 'precision', label: 'Precision', group: 'Handling', numeric: true, value: weapon => weapon.Precision },
+    { id: 'control', label: 'Control', group: 'Handling', numeric: true, value: weapon => weapon.Control },
+    ...RANGES.map(range => ({
+        id: `ttk@${range}`, label: `TTK (${range})`, group: 'TTK', numeric: true,
+        value: (weapon, options) => calculateWeaponTTK(weapon, range, options)
+    })),
+    ...RANGES.map(range => ({
+        id: `stk@${range}`, label: `STK (${range})`, group: 'STK', numeric: true,
+        value: (weapon, options) => calculateWeaponSTK(weapon, range, options)
+    })),
+    { id: 'mag', label: 'Mag', group: 'Magazine', numeric: true, value: weapon => weapon.Mag },
+    { id: 'reload', label: 'Reload (ms)', group: 'Magazine', numeric: true, value: weapon => weapon.Reload },
+    ...RANGES.map(range => ({
+        id: `magKills@${range}`, label: `Kills/Mag (${range})`, group: 'Magazine', numeric: true,
+        value: (weapon, options) => calculateKillsPerMag(weapon, range, options)
+    })),
+    { id: 'sustainedDps', label: 'Sustained DPS', group: 'Magazine', numeric: true, value: weapon => weapon.SustainedDPS },
+    { id: 'status', label: 'Status', group: 'General', value: weapon => (weapon.isComplete ? 'Complete' : 'Incomplete') }
+];
+
+// Weapon fields the tier list can weigh (ids from WEAPON_FIELDS); better is the end that scores highest
+const TIER_FACTORS = [
+    ...RANGES.map(range => ({ field: `ttk@${range}`, better: 'lower' })),
+    { field: 'ads', better: 'lower' },
+    { field: 'precision', better: 'higher' },
+    { field: 'control', better: 'higher' },
+    { field: 'dropoff', better: 'lower' }
+];
+
+// Tier list presets: relative weight of each factor (factors left out weigh 0)
+const TIER_PRESETS = {
+    close: {
+        label: 'Close Quarters',
+        weights: { 'ttk@10M': 5, 'ttk@20M': 3, ads: 2, control: 1 }
+    },
+    mid: {
+        label: 'Mid-Range All-Rounder',
+        weights: { 'ttk@10M': 1, 'ttk@20M': 2, 'ttk@35M': 3, 'ttk@50M': 2, ads: 1, precision: 1, control: 2, dropoff: 1 }
+    },
+    long: {
+        label: 'Long Range',
+        weights: { 'ttk@35M': 1, 'ttk@50M': 3, 'ttk@70M': 4, precision: 2, control: 1, dropoff: 2 }
+    }
+};
+
+// Stats ranked on the weapon detail view (ids from WEAPON_FIELDS); better is the end that ranks highest
+const WEAPON_RANK_FIELDS = [
+    ...RANGES.map(range => ({ field: `ttk@${range}`, better: 'lower' })),
+    { field: 'dps', better: 'higher' },
+    { field: 'rpm', better: 'higher' },
+    { field: 'ads', better: 'lower' },
+    { field: 'precision', better: 'higher' },
+    { field: 'control', better: 'higher' },
+    { field: 'dropoff', better: 'lower' }
+];
+
+// Stats in the similarity feature vector (ids from WEAPON_FIELDS); better is used to colour differences
+const SIMILARITY_FEATURES = [
+    ...RANGES.map(range => ({ field: `damage@${range}`, better: 'higher' })),
+    { field: 'rpm', better: 'higher' },
+    { field: 'ads', better: 'lower' },
+    { field: 'precision', better: 'higher' },
+    { field: 'control', better: 'higher' }
+];
+
+// Which weapon types getSimilarWeapons may return
+const SIMILARITY_SCOPES = {
+    any: 'Any Type',
+    same: 'Same Type',
+    other: 'Other Types'
+};
+
+// Lowest score (0–100) for each tier, best first
+const TIER_THRESHOLDS = [
+    { tier: 'S', min: 75 },
+    { tier: 'A', min: 60 },
+    { tier: 'B', min: 45 },
+    { tier: 'C', min: 30 },
+    { tier: 'D', min: 0 }
+];
 
 /**
- * Load and parse CSV data
- * @returns {Promise<Array>} Promise that resolves with weapons data
+ * Fetch and parse a CSV file with a header row
+ * @param {string} url - CSV file location
+ * @returns {Promise<Object>} Papa Parse results ({ data, errors, meta })
+ */
+async function fetchCSV(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const csvText = await response.text();
+
+    return new Promise((resolve, reject) => {
+        Papa.parse(csvText, {
+            header: true,
+            skipEmptyLines: true,
+            dynamicTyping: false, // We'll handle type conversion manually
+            complete: function(results) {
+                if (results.errors.length > 0) {
+                    console.warn(`CSV parsing warnings (${url}):`, results.errors);
+                }
+                resolve(results);
+            },
+            error: function(error) {
+                console.error('CSV parsing error:', error);
+                reject(error);
+            }
+        });
+    });
+}
+
+/**
+ * Load the patch manifest (data/patches/manifest.json)
+ * Falls back to DEFAULT_PATCH when the manifest is missing or lists no usable patches.
+ * @returns {Promise<Array>} Patches { id, name, date, file, notes }, oldest first
  */
-async function loadWeaponData() {
+async function loadPatchManifest() {
     try {
-        const response = await fetch('data/ttk.csv');
+        const response = await fetch('data/patches/manifest.json');
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
+        patchesData = processPatchManifest(await response.json());
+    } catch (error) {
+        console.warn('Patch manifest unavailable, using data/ttk.csv only:', error);
+        patchesData = [];
+    }
 
-        const csvText = await response.text();
-
-        return new Promise((resolve, reject) => {
-            Papa.parse(csvText, {
-                header: true,
-                skipEmptyLines: true,
-                dynamicTyping: false, // We'll handle type conversion manually
-                complete: function(results) {
-                    if (results.errors.length > 0) {
-                        console.warn('CSV parsing warnings:', results.errors);
-                    }
-
-                    // Process and clean the data
-                    const processedData = processWeaponData(results.data);
-                    weaponsData = processedData;
-                    filteredData = processedData;
-
-                    console.log(`Loaded ${weaponsData.length} weapons`);
-                    resolve(processedData);
-                },
-                error: function(error) {
-                    console.error('CSV parsing error:', error);
-                    reject(error);
-                }
-            });
+    if (patchesData.length === 0) {
+        patchesData = [{ ...DEFAULT_PATCH }];
+    }
+    return patchesData;
+}
+
+/**
+ * Clean manifest entries: drop entries without an id or file and duplicate ids, then sort by date
+ * @param {Object} manifest - Parsed manifest ({ patches: [...] })
+ * @returns {Array} Patches, oldest first (entries without a date come last, in manifest order)
+ */
+function processPatchManifest(manifest) {
+    const seen = new Set();
+    return ((manifest && manifest.patches) || [])
+        .map(entry => ({
+            id: String(entry.id || '').trim(),
+            name: String(entry.name || entry.id || '').trim(),
+            date: String(entry.date || '').trim(),
+            file: String(entry.file || '').trim(),
+            notes: String(entry.notes || '').trim()
+        }))
+        .filter(patch => {
+            if (!patch.id || !patch.file || seen.has(patch.id)) return false;
+            seen.add(patch.id);
+            return true;
+        })
+        .map((patch, index) => ({ patch, index }))
+        .sort((a, b) => {
+            // Undated entries (usually the live data/ttk.csv) go after every dated one
+            if (a.patch.date && b.patch.date) return a.patch.date.localeCompare(b.patch.date) || a.index - b.index;
+            if (a.patch.date || b.patch.date) return a.patch.date ? -1 : 1;
+            return a.index - b.index;
+        })
+        .map(({ patch }) => patch);
+}
+
+/**
+ * Get all known patches, oldest first
+ * @returns {Array} Patch objects
+ */
+function getPatches() {
+    return patchesData.length > 0 ? patchesData : [DEFAULT_PATCH];
+}
+
+/**
+ * Look up a patch by id
+ * @param {string} patchId - Patch id; empty for the latest patch
+ * @returns {Object|null} Patch object, or null if the id is unknown
+ */
+function getPatch(patchId = '') {
+    const patches = getPatches();
+    if (!patchId) {
+        return patches[patches.length - 1];
+    }
+    return patches.find(patch => patch.id === patchId) || null;
+}
+
+/**
+ * Get the patch whose weapons are currently loaded
+ * @returns {Object} Patch object
+ */
+function getCurrentPatch() {
+    return getPatch(currentPatchId) || getPatch();
+}
+
+/**
+ * Fetch and parse a patch CSV once
+ * @param {Object} patch - Patch object
+ * @returns {Promise<Object>} Papa Parse results
+ */
+async function fetchPatchCSV(patch) {
+    if (!patchResultsCache[patch.id]) {
+        patchResultsCache[patch.id] = await fetchCSV(patch.file);
+    }
+    return patchResultsCache[patch.id];
+}
+
+/**
+ * Load the weapons of a patch without making it the active dataset (used by the patch diff)
+ * @param {string} patchId - Patch id; empty for the latest patch
+ * @returns {Promise<Array>} Processed weapon objects
+ */
+async function loadPatchWeapons(patchId = '') {
+    const patch = getPatch(patchId);
+    if (!patch) {
+        throw new Error(`Unknown patch "${patchId}"`);
+    }
+    const results = await fetchPatchCSV(patch);
+    return processWeaponData(results.data);
+}
+
+/**
+ * Load the weapons of every patch (used by the weapon trend view)
+ * @returns {Promise<Array>} [{ patch, weapons }], oldest patch first
+ */
+async function loadPatchSnapshots() {
+    return Promise.all(getPatches().map(async patch => ({
+        patch,
+        weapons: await loadPatchWeapons(patch.id)
+    })));
+}
+
+/**
+ * Load and parse CSV data for a patch and make it the active dataset
+ * @param {string} patchId - Patch id; empty for the latest patch
+ * @returns {Promise<Array>} Promise that resolves with weapons data
+ */
+async function loadWeaponData(patchId = '') {
+    try {
+        const patch = getPatch(patchId);
+        if (!patch) {
+            throw new Error(`Unknown patch "${patchId}"`);
+        }
+        const results = await fetchPatchCSV(patch);
+        currentPatchId = patch.id;
+
+        // Merge in (or replace with) the user's imported weapons
+        const merged = customImport
+            ? mergeWeaponRows(results.data, customImport.rows, customImport.mode)
+            : { rows: results.data, custom: [] };
+        const columns = customImport && customImport.mode === 'replace' ? customImport.columns : results.meta.fields;
+
+        // Check the raw rows before bad values are coerced to null
+        dataHealthReport = validateWeaponRows(merged.rows, {
+            columns,
+            parseErrors: customImport && customImport.mode === 'replace' ? [] : results.errors
         });
+
+        // Process and clean the data (stat edits belong to the previous dataset)
+        clearWeaponEdits();
+        const customNames = new Set(merged.custom.map(name => name.toLowerCase()));
+        const processedData = processWeaponData(merged.rows);
+        processedData.forEach(weapon => {
+            weapon.isCustom = customNames.has(weapon.Weapon.toLowerCase());
+        });
+        weaponsData = processedData;
+        filteredData = processedData;
+
+        console.log(`Loaded ${weaponsData.length} weapons (${patch.name}${customImport ? ` + ${customImport.name}` : ''})`);
+        return processedData;
     } catch (error) {
         console.error('Error loading weapon data:', error);
         throw error;
     }
 }
 
+/**
+ * Parse an imported weapon file
+ * CSV files need the ttk.csv header. JSON files hold an array of rows keyed by the same
+ * column names, or { "weapons": [...] }; numbers may be JSON numbers or strings.
+ * @param {string} fileName - File name; the extension picks the format
+ * @param {string} text - File contents
+ * @returns {Object} { format, rows, columns, parseErrors } shaped like Papa Parse results so validateWeaponRows can check them
+ */
+function parseWeaponFile(fileName, text) {
+    const isJSON = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+    if (!isJSON) {
+        const results = Papa.parse(text, { header: true, skipEmptyLines: true, dynamicTyping: false });
+        return { format: 'csv', rows: results.data, columns: results.meta.fields || [], parseErrors: results.errors };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { format: 'json', rows: [], columns: [], parseErrors: [{ row: null, message: `Invalid JSON: ${error.message}` }] };
+    }
+
+    const entries = Array.isArray(data) ? data : (data && data.weapons);
+    if (!Array.isArray(entries)) {
+        return { format: 'json', rows: [], columns: [], parseErrors: [{ row: null, message: 'Expected an array of weapons or { "weapons": [...] }' }] };
+    }
+
+    const parseErrors = [];
+    const columns = [];
+    const rows = entries.map((entry, row) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            parseErrors.push({ row, message: 'Entry is not an object' });
+            return {};
+        }
+        // Store every value as text, like a CSV cell
+        const item = {};
+        Object.entries(entry).forEach(([column, value]) => {
+            if (!columns.includes(column)) columns.push(column);
+            item[column] = value == null ? '' : String(value);
+        });
+        return item;
+    });
+
+    return { format: 'json', rows, columns, parseErrors };
+}
+
+/**
+ * Combine baseline rows with imported rows
+ * @param {Array<Object>} baseRows - Raw rows of the active patch
+ * @param {Array<Object>} importRows - Raw imported rows
+ * @param {string} mode - 'merge' (imported weapons replace same-named ones, the rest are appended) or 'replace'
+ * @returns {Object} { rows, custom: names of imported weapons, replaced: names that overrode a baseline weapon }
+ */
+function mergeWeaponRows(baseRows, importRows, mode = 'merge') {
+    const nameOf = row => String(row['Weapon'] || '').trim();
+    const imported = importRows.filter(row => nameOf(row));
+    const custom = imported.map(nameOf);
+
+    if (mode === 'replace') {
+        return { rows: imported, custom, replaced: [] };
+    }
+
+    const importedByName = new Map(imported.map(row => [nameOf(row).toLowerCase(), row]));
+    const replaced = [];
+    const rows = baseRows.map(row => {
+        const key = nameOf(row).toLowerCase();
+        if (!importedByName.has(key)) return row;
+
+        replaced.push(nameOf(row));
+        const replacement = importedByName.get(key);
+        importedByName.delete(key);
+        return replacement;
+    });
+
+    return { rows: [...rows, ...importedByName.values()], custom, replaced };
+}
+
+/**
+ * Set the imported weapon file applied by loadWeaponData (call loadWeaponData again to apply it)
+ * @param {Object|null} record - { name, mode, rows, columns, importedAt }, or null to use the patch data only
+ */
+function setCustomImport(record) {
+    customImport = record;
+}
+
+/**
+ * Get the imported weapon file applied to the active dataset
+ * @returns {Object|null} Import record
+ */
+function getCustomImport() {
+    return customImport;
+}
+
 /**
  * Process and clean raw CSV data
  * @param {Array} rawData - Raw data from Papa Parse
@@ -68,43 +452,341 @@ function processWeaponData(rawData) {
                 '50M': parseNumeric(row['50M']),
                 '70M': parseNumeric(row['70M']),
                 'RPM': parseNumeric(row['RPM']),
-                'DPS': parseNumeric(row['DPS']),
+                'DPS': null, // Derived from damage and RPM in deriveWeaponStats
+                'ReportedDPS': parseNumeric(row['DPS']),
                 'ADS': parseNumeric(row['ADS']),
                 'Precision': parseNumeric(row['Precision']),
-                'Control': parseNumeric(row['Control'])
+                'Control': parseNumeric(row['Control']),
+                'Head': parseNumeric(row['Head']),
+                'Limb': parseNumeric(row['Limb']),
+                'Mag': parseNumeric(row['Mag']),
+                'Reload': parseNumeric(row['Reload']),
+                'Reload Empty': parseNumeric(row['Reload Empty'])
             };
 
-            // Default Precision/Control if missing
-            if (weapon.Precision == null) weapon.Precision = 100;
-            if (weapon.Control == null) weapon.Control = 100;
-
-            // Normalize damage values: exact 33 becomes 33.5 across ranges
-            RANGES.forEach(range => {
-                if (weapon[range] === 33) {
-                    weapon[range] = 33.5;
-                }
+            ['Precision', 'Control', ...RANGES].forEach(key => {
+                weapon[key] = normalizeWeaponStat(key, weapon[key]);
             });
 
-            // Calculate TTK for each range
-            RANGES.forEach(range => {
-                const damage = weapon[range];
-                const rpm = weapon.RPM;
-                weapon[`TTK_${range}`] = calculateTTK(damage, rpm);
-            });
+            return deriveWeaponStats(weapon);
+        })
+        .filter(weapon => weapon.Weapon && weapon['Weapon Type']); // Remove empty rows
+}
+
+/**
+ * Apply the dataset clean-up rules to a base stat
+ * @param {string} key - Weapon key (e.g. '10M', 'Precision')
+ * @param {number|null} value - Parsed value
+ * @returns {number|null} Cleaned value
+ */
+function normalizeWeaponStat(key, value) {
+    // Default Precision/Control if missing
+    if ((key === 'Precision' || key === 'Control') && value == null) {
+        return 100;
+    }
+    // Normalize damage values: exact 33 becomes 33.5 across ranges
+    if (RANGES.includes(key) && value === 33) {
+        return 33.5;
+    }
+    return value;
+}
+
+/**
+ * Calculate derived fields (TTK_*, STK_*, MagKills_*, DPS, sustained DPS, completeness, average damage) from base stats
+ * @param {Object} weapon - Weapon object with base stats; updated in place
+ * @returns {Object} The same weapon object
+ */
+function deriveWeaponStats(weapon) {
+    // Calculate TTK for each range
+    RANGES.forEach(range => {
+        const damage = weapon[range];
+        const rpm = weapon.RPM;
+        weapon[`TTK_${range}`] = calculateTTK(damage, rpm);
+    });
+
+    // Calculate shots to kill for each range
+    RANGES.forEach(range => {
+        const damage = weapon[range];
+        weapon[`STK_${range}`] = calculateShotsToKill(damage);
+    });
+
+    // Calculate kills per magazine for each range (needs Mag)
+    RANGES.forEach(range => {
+        weapon[`MagKills_${range}`] = calculateKillsPerMag(weapon, range);
+    });
+
+    // Derive DPS for each range from damage and RPM; the CSV value is kept as ReportedDPS
+    RANGES.forEach(range => {
+        weapon[`DPS_${range}`] = calculateDPS(weapon[range], weapon.RPM);
+    });
+    weapon.DPS = weapon['DPS_10M'] !== null ? weapon['DPS_10M'] : weapon.ReportedDPS;
+    weapon.dpsMismatch = isDPSMismatch(weapon.ReportedDPS, weapon['DPS_10M']);
+
+    // Sustained DPS over a magazine plus an empty reload at 10m (needs Mag and reload time)
+    weapon.SustainedDPS = calculateSustainedDPS(weapon, '10M');
+
+    // Add metadata
+    weapon.isComplete = isWeaponDataComplete(weapon);
+    weapon.averageDamage = getAverageDamage(weapon);
+
+    return weapon;
+}
+
+/**
+ * Set a base stat on a loaded weapon and recalculate its derived fields
+ * The dataset value is remembered in weaponEditOriginals until the stat is set back to it.
+ * @param {Object} weapon - Weapon from weaponsData
+ * @param {string} key - Weapon key (a value of EDITABLE_WEAPON_FIELDS)
+ * @param {number|null} value - New value
+ */
+function setWeaponStat(weapon, key, value) {
+    const originals = weaponEditOriginals.get(weapon.Weapon) || {};
+    if (!(key in originals)) {
+        originals[key] = weapon[key];
+    }
+    weapon[key] = value;
+    if (originals[key] === value) {
+        delete originals[key];
+    }
+
+    if (Object.keys(originals).length > 0) {
+        weaponEditOriginals.set(weapon.Weapon, originals);
+    } else {
+        weaponEditOriginals.delete(weapon.Weapon);
+    }
+    deriveWeaponStats(weapon);
+}
+
+/**
+ * Get the dataset values of a weapon's edited stats
+ * @param {Object} weapon - Weapon object
+ * @returns {Object} { [key]: dataset value } for each stat that differs from the dataset (empty when unedited)
+ */
+function getWeaponEdits(weapon) {
+    return (weapon && weaponEditOriginals.get(weapon.Weapon)) || {};
+}
+
+/**
+ * Edit a base stat of a loaded weapon (stat editor); can be undone with undoWeaponEdit
+ * @param {string} weaponName - Weapon name
+ * @param {string} key - Weapon key (a value of EDITABLE_WEAPON_FIELDS)
+ * @param {number|null} value - New value; null clears it (Precision/Control fall back to 100)
+ * @returns {Object|null} The edit { weapon, key, from, to }, or null when the weapon, key or value is invalid or nothing changed
+ */
+function editWeaponStat(weaponName, key, value) {
+    const weapon = getWeaponByName(weaponName);
+    if (!weapon || !Object.values(EDITABLE_WEAPON_FIELDS).includes(key)) {
+        return null;
+    }
+    if (value !== null && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+        return null;
+    }
+    if ((key === 'Precision' || key === 'Control') && value > 100) {
+        return null;
+    }
+
+    const to = normalizeWeaponStat(key, value);
+    if (weapon[key] === to) {
+        return null;
+    }
+
+    const edit = { weapon: weapon.Weapon, key, from: weapon[key], to };
+    setWeaponStat(weapon, key, to);
+    weaponEditUndo.push(edit);
+    weaponEditRedo = [];
+    return edit;
+}
+
+/**
+ * Undo the last stat edit
+ * @returns {Object|null} The undone edit, or null when there is nothing to undo
+ */
+function undoWeaponEdit() {
+    const edit = weaponEditUndo.pop();
+    if (!edit) return null;
+
+    setWeaponStat(getWeaponByName(edit.weapon), edit.key, edit.from);
+    weaponEditRedo.push(edit);
+    return edit;
+}
+
+/**
+ * Redo the last undone stat edit
+ * @returns {Object|null} The redone edit, or null when there is nothing to redo
+ */
+function redoWeaponEdit() {
+    const edit = weaponEditRedo.pop();
+    if (!edit) return null;
+
+    setWeaponStat(getWeaponByName(edit.weapon), edit.key, edit.to);
+    weaponEditUndo.push(edit);
+    return edit;
+}
+
+/**
+ * Forget the stat edit history (weapons keep their current values)
+ */
+function clearWeaponEdits() {
+    weaponEditUndo = [];
+    weaponEditRedo = [];
+    weaponEditOriginals.clear();
+}
+
+/**
+ * Get the state of the stat editor
+ * @returns {Object} { undo, redo, edited } where undo/redo are step counts and edited is the number of weapons that differ from the dataset
+ */
+function getWeaponEditState() {
+    return {
+        undo: weaponEditUndo.length,
+        redo: weaponEditRedo.length,
+        edited: weaponEditOriginals.size
+    };
+}
+
+/**
+ * Build rows in the data/ttk.csv format from loaded weapons (including stat edits)
+ * DPS is recalculated for weapons whose 10m damage or RPM was edited; otherwise the reported value is kept.
+ * @param {Array} weapons - Weapon objects
+ * @returns {Array<Object>} Rows keyed by WEAPON_CSV_COLUMNS, ready for exportToCSV
+ */
+function getWeaponCSVRows(weapons) {
+    return weapons.map(weapon => {
+        const edited = getWeaponEdits(weapon);
+        const row = {};
+        WEAPON_CSV_COLUMNS.forEach(column => {
+            row[column] = weapon[column];
+        });
+        row['DPS'] = '10M' in edited || 'RPM' in edited ? weapon.DPS : weapon.ReportedDPS;
+        return row;
+    });
+}
+
+/**
+ * Switch the active target profile and recalculate the TTK_* and STK_* fields of all weapons
+ * @param {string|Object} target - Key of TARGET_PROFILES or profile object
+ * @returns {Object} The resolved active profile
+ */
+function applyTargetProfile(target) {
+    const profile = setTargetProfile(target);
+    weaponsData.forEach(deriveWeaponStats);
+    return profile;
+}
+
+/**
+ * Load and parse attachment modifiers
+ * @returns {Promise<Array>} Promise that resolves with attachment objects
+ */
+async function loadAttachmentData() {
+    try {
+        const results = await fetchCSV('data/attachments.csv');
+        attachmentsData = processAttachmentData(results.data);
+
+        console.log(`Loaded ${attachmentsData.length} attachments`);
+        return attachmentsData;
+    } catch (error) {
+        console.error('Error loading attachment data:', error);
+        throw error;
+    }
+}
+
+/**
+ * Process raw attachment rows
+ * Damage, RPM and ADS modifiers are percentages; Precision and Control are added as points.
+ * @param {Array} rawData - Raw data from Papa Parse
+ * @returns {Array} Attachment objects
+ */
+function processAttachmentData(rawData) {
+    return rawData
+        .map(row => {
+            const attachment = {
+                'Attachment': (row['Attachment'] || '').trim(),
+                'Slot': (row['Slot'] || '').trim(),
+                // Empty = fits every weapon type; otherwise a '|' separated list
+                'Weapon Types': (row['Weapon Type'] || '')
+                    .split('|')
+                    .map(type => type.trim().toUpperCase())
+                    .filter(type => type),
+                'RPM': parseNumeric(row['RPM']) || 0,
+                'ADS': parseNumeric(row['ADS']) || 0,
+                'Precision': parseNumeric(row['Precision']) || 0,
+                'Control': parseNumeric(row['Control']) || 0
+            };
 
-            // Calculate shots to kill for each range
             RANGES.forEach(range => {
-                const damage = weapon[range];
-                weapon[`STK_${range}`] = calculateShotsToKill(damage);
+                attachment[range] = parseNumeric(row[range]) || 0;
             });
 
-            // Add metadata
-            weapon.isComplete = isWeaponDataComplete(weapon);
-            weapon.averageDamage = getAverageDamage(weapon);
-
-            return weapon;
+            return attachment;
         })
-        .filter(weapon => weapon.Weapon && weapon['Weapon Type']); // Remove empty rows
+        .filter(attachment => attachment.Attachment && attachment.Slot);
+}
+
+/**
+ * Get attachments that fit a weapon
+ * @param {Object} weapon - Weapon object
+ * @param {string} slot - Optional slot to restrict to
+ * @returns {Array} Matching attachments
+ */
+function getAttachmentsForWeapon(weapon, slot = null) {
+    return attachmentsData.filter(a =>
+        (a['Weapon Types'].length === 0 || a['Weapon Types'].includes(weapon['Weapon Type'])) &&
+        (!slot || a.Slot === slot)
+    );
+}
+
+/**
+ * Get attachment by exact name
+ * @param {string} name - Attachment name
+ * @returns {Object|null} Attachment object or null if not found
+ */
+function getAttachmentByName(name) {
+    return attachmentsData.find(a => a.Attachment === name) || null;
+}
+
+/**
+ * Apply attachments to a weapon and recompute its derived stats
+ * Only one attachment per slot is used; a later attachment replaces an earlier one in the same slot.
+ * @param {Object} weapon - Base weapon object (not modified)
+ * @param {Array<string>} attachmentNames - Attachment names to apply
+ * @param {string} label - Optional loadout label appended to the weapon name
+ * @returns {Object} New weapon object with modified stats
+ */
+function applyAttachments(weapon, attachmentNames = [], label = '') {
+    const bySlot = {};
+    attachmentNames
+        .map(getAttachmentByName)
+        .filter(a => a && getAttachmentsForWeapon(weapon).includes(a))
+        .forEach(a => { bySlot[a.Slot] = a; });
+    const attachments = Object.values(bySlot);
+
+    const sumOf = field => attachments.reduce((sum, a) => sum + a[field], 0);
+    const scale = (value, percent, decimals) => {
+        if (value === null || value === undefined) return value;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * (1 + percent / 100) * factor) / factor;
+    };
+    const clampScore = value => Math.min(100, Math.max(0, value));
+
+    const loadout = { ...weapon };
+    RANGES.forEach(range => {
+        loadout[range] = scale(weapon[range], sumOf(range), 1);
+    });
+    loadout.RPM = scale(weapon.RPM, sumOf('RPM'), 0);
+    loadout.ADS = scale(weapon.ADS, sumOf('ADS'), 0);
+    loadout.Precision = clampScore(weapon.Precision + sumOf('Precision'));
+    loadout.Control = clampScore(weapon.Control + sumOf('Control'));
+
+    // The CSV DPS describes the base weapon; deriveWeaponStats derives the loadout DPS
+    loadout.ReportedDPS = null;
+
+    loadout.baseWeapon = weapon.Weapon;
+    loadout.attachments = attachments.map(a => a.Attachment);
+    if (label) {
+        loadout.Weapon = `${weapon.Weapon} (${label})`;
+    }
+
+    return deriveWeaponStats(loadout);
 }
 
 /**
@@ -215,37 +897,260 @@ function getWeaponTTKProfile(weapon) {
 
 /**
  * Compare two weapons across all metrics
- * @param {string} weapon1Name - First weapon name
+ * @param {string} weapon1Name - First (reference) weapon name
  * @param {string} weapon2Name - Second weapon name
- * @returns {Object} Comparison object
+ * @returns {Object} Comparison object (see compareWeaponList), or null if a weapon is missing
  */
 function compareWeapons(weapon1Name, weapon2Name) {
-    const w1 = getWeaponByName(weapon1Name);
-    const w2 = getWeaponByName(weapon2Name);
+    return compareWeaponList([weapon1Name, weapon2Name]);
+}
 
-    if (!w1 || !w2) {
+/**
+ * Compare several weapons across all metrics
+ * Deltas and crossovers are relative to the first (reference) weapon.
+ * @param {Array<string>} weaponNames - Weapon names (2-4 in the UI)
+ * @param {Object} options - TTK options (see calculateWeaponTTK)
+ * @returns {Object} Comparison object with arrays in weaponNames order, or null if a weapon is missing
+ */
+function compareWeaponList(weaponNames, options = {}) {
+    const weapons = (weaponNames || []).map(name => getWeaponByName(name));
+    if (weapons.length < 2 || weapons.some(w => !w)) {
         return null;
     }
 
+    const reference = weapons[0];
     const comparison = {
-        weapons: [w1.Weapon, w2.Weapon],
-        types: [w1['Weapon Type'], w2['Weapon Type']],
-        rpm: [w1.RPM, w2.RPM],
-        dps: [w1.DPS, w2.DPS],
-        ranges: {}
+        weapons: weapons.map(w => w.Weapon),
+        types: weapons.map(w => w['Weapon Type']),
+        rpm: weapons.map(w => w.RPM),
+        dps: weapons.map(w => w.DPS),
+        ranges: {},
+        crossovers: []
     };
 
     RANGES.forEach(range => {
+        const ttk = weapons.map(w => calculateWeaponTTK(w, range, options));
+        const stk = weapons.map(w => calculateWeaponSTK(w, range, options));
+        const delta = (values, value) => (value == null || values[0] == null ? null : Math.round((value - values[0]) * 10) / 10);
+
         comparison.ranges[range] = {
-            damage: [w1[range], w2[range]],
-            ttk: [w1[`TTK_${range}`], w2[`TTK_${range}`]],
-            stk: [w1[`STK_${range}`], w2[`STK_${range}`]]
+            damage: weapons.map(w => w[range]),
+            ttk,
+            stk,
+            ttkDelta: ttk.map(value => delta(ttk, value)),
+            ttkDeltaPercent: ttk.map(value => (value == null || !ttk[0] ? null : Math.round(((value - ttk[0]) / ttk[0]) * 1000) / 10)),
+            stkDelta: stk.map(value => delta(stk, value))
         };
     });
 
+    // Where the TTK advantage between the reference and each other weapon flips
+    comparison.crossovers = weapons.slice(1).map(w => ({
+        weapons: [reference.Weapon, w.Weapon],
+        crossovers: findTTKCrossovers(reference, w, options)
+    }));
+
     return comparison;
 }
 
+/**
+ * Rank weapons by TTK at a range (1 = fastest; weapons without a TTK are left out)
+ * @param {Array} weapons - Weapon objects
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {Object} options - TTK options (see calculateWeaponTTK)
+ * @returns {Map<string, number>} Rank by weapon name
+ */
+function getTTKRanks(weapons, range, options = {}) {
+    const ranked = weapons
+        .map(weapon => ({ name: weapon.Weapon, ttk: calculateWeaponTTK(weapon, range, options) }))
+        .filter(entry => entry.ttk !== null)
+        .sort((a, b) => a.ttk - b.ttk);
+    return new Map(ranked.map((entry, i) => [entry.name, i + 1]));
+}
+
+/**
+ * Get a weapon stat plotted by the weapon trend view
+ * @param {Object} weapon - Weapon object
+ * @param {string} metric - 'ttk' | 'damage' | 'rpm'
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {Object} options - TTK options (see calculateWeaponTTK)
+ * @returns {number|null} Value, or null when unknown
+ */
+function getWeaponTrendValue(weapon, metric, range, options = {}) {
+    switch (metric) {
+        case 'ttk':
+            return calculateWeaponTTK(weapon, range, options);
+        case 'damage':
+            return getWeaponDamageAt(weapon, range, options.falloff);
+        case 'rpm':
+            return weapon.RPM;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find the meta leader (lowest TTK) at each range
+ * @param {Array} weapons - Weapon objects
+ * @param {Object} options - TTK options (see calculateWeaponTTK)
+ * @returns {Object} { [range]: { weapon, type, ttk } | null } for each of RANGES; ties go to the earlier weapon
+ */
+function getMetaLeaders(weapons, options = {}) {
+    const leaders = {};
+    RANGES.forEach(range => {
+        leaders[range] = null;
+        weapons.forEach(weapon => {
+            const ttk = calculateWeaponTTK(weapon, range, options);
+            if (ttk !== null && (leaders[range] === null || ttk < leaders[range].ttk)) {
+                leaders[range] = { weapon: weapon.Weapon, type: weapon['Weapon Type'], ttk };
+            }
+        });
+    });
+    return leaders;
+}
+
+/**
+ * Find the fastest weapon at every distance and merge neighbouring distances with the same leader
+ * @param {Array} weapons - Weapon objects
+ * @param {Object} options - TTK options (see calculateWeaponTTK)
+ * @param {number} maxDistance - Furthest distance (meters), checked in 1m steps
+ * @returns {Array<Object>} [{ start, end, weapon, type, ttkStart, ttkEnd }] nearest first, where start and end
+ *   are the first and last distance the weapon leads; ties go to the earlier weapon
+ */
+function getBestWeaponByDistance(weapons, options = {}, maxDistance = MAX_DISTANCE) {
+    const segments = [];
+
+    for (let distance = 1; distance <= maxDistance; distance++) {
+        let best = null;
+        weapons.forEach(weapon => {
+            const ttk = calculateWeaponTTK(weapon, distance, options);
+            if (ttk !== null && (best === null || ttk < best.ttk)) {
+                best = { weapon, ttk };
+            }
+        });
+        if (best === null) continue;
+
+        const last = segments[segments.length - 1];
+        if (last && last.weapon === best.weapon.Weapon && last.end === distance - 1) {
+            last.end = distance;
+            last.ttkEnd = best.ttk;
+        } else {
+            segments.push({
+                start: distance,
+                end: distance,
+                weapon: best.weapon.Weapon,
+                type: best.weapon['Weapon Type'],
+                ttkStart: best.ttk,
+                ttkEnd: best.ttk
+            });
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Find the TTK crossovers of every pair of weapons
+ * @param {Array} weapons - Weapon objects
+ * @param {Object} options - TTK options (see calculateWeaponTTK) plus focus (weapon name; only pairs with it are checked)
+ * @param {number} maxDistance - Furthest distance (meters), checked in 1m steps
+ * @returns {Array<Object>} [{ weapons: [a, b], distance, leader, trailer }] nearest first, where leader is the
+ *   weapon that is faster from that distance on (see findTTKCrossovers)
+ */
+function findAllTTKCrossovers(weapons, options = {}, maxDistance = MAX_DISTANCE) {
+    const crossovers = [];
+
+    // Each weapon's TTK is worked out once rather than once per pair
+    const curves = weapons.map(weapon => getTTKCurve(weapon, options, maxDistance));
+
+    weapons.forEach((weaponA, i) => {
+        weapons.slice(i + 1).forEach((weaponB, offset) => {
+            if (options.focus && weaponA.Weapon !== options.focus && weaponB.Weapon !== options.focus) return;
+            const pair = [weaponA.Weapon, weaponB.Weapon];
+            findTTKCurveCrossovers(curves[i], curves[i + 1 + offset]).forEach(({ distance, leader }) => {
+                crossovers.push({ weapons: pair, distance, leader: pair[leader], trailer: pair[1 - leader] });
+            });
+        });
+    });
+
+    return crossovers.sort((a, b) => a.distance - b.distance || a.leader.localeCompare(b.leader));
+}
+
+/**
+ * Diff two patches weapon by weapon
+ * Weapons are matched by name. Stat changes are classed as buffs or nerfs using PATCH_DIFF_STATS,
+ * TTK deltas are given for every range and rank movement uses TTK at options.range.
+ * @param {Array} fromWeapons - Weapons of the older patch
+ * @param {Array} toWeapons - Weapons of the newer patch
+ * @param {Object} options - TTK options (see calculateWeaponTTK) plus range (ranking range, default '10M')
+ * @returns {Object} { range, weapons: [{ weapon, type, status, changes, ttk, focus, rank }], summary: { added, removed, buffed, nerfed, mixed, unchanged } }
+ *   where status is 'added', 'removed', 'buffed', 'nerfed', 'mixed' or 'unchanged', ttk maps each of RANGES
+ *   to { from, to, delta } and focus is the same for options.range
+ */
+function diffPatches(fromWeapons, toWeapons, options = {}) {
+    const rankRange = options.range || '10M';
+    const fromRanks = getTTKRanks(fromWeapons, rankRange, options);
+    const toRanks = getTTKRanks(toWeapons, rankRange, options);
+    const fromByName = new Map(fromWeapons.map(w => [w.Weapon, w]));
+    const toByName = new Map(toWeapons.map(w => [w.Weapon, w]));
+    const round = value => Math.round(value * 10) / 10;
+
+    // Newer patch order first, then weapons that were removed
+    const names = [...toByName.keys(), ...[...fromByName.keys()].filter(name => !toByName.has(name))];
+
+    const weapons = names.map(name => {
+        const before = fromByName.get(name) || null;
+        const after = toByName.get(name) || null;
+
+        const changes = before && after
+            ? PATCH_DIFF_STATS
+                .filter(stat => before[stat.field] != null && after[stat.field] != null && before[stat.field] !== after[stat.field])
+                .map(stat => {
+                    const delta = round(after[stat.field] - before[stat.field]);
+                    const improved = stat.better === 'higher' ? delta > 0 : delta < 0;
+                    return { field: stat.field, label: stat.label, from: before[stat.field], to: after[stat.field], delta, effect: improved ? 'buff' : 'nerf' };
+                })
+            : [];
+
+        const ttkAt = range => {
+            const from = before ? calculateWeaponTTK(before, range, options) : null;
+            const to = after ? calculateWeaponTTK(after, range, options) : null;
+            return { from, to, delta: from !== null && to !== null ? round(to - from) : null };
+        };
+        const ttk = {};
+        RANGES.forEach(range => {
+            ttk[range] = ttkAt(range);
+        });
+
+        const rank = {
+            from: fromRanks.get(name) || null,
+            to: toRanks.get(name) || null,
+            change: null
+        };
+        if (rank.from !== null && rank.to !== null) {
+            rank.change = rank.from - rank.to; // positive = moved up
+        }
+
+        let status = 'unchanged';
+        if (!before) {
+            status = 'added';
+        } else if (!after) {
+            status = 'removed';
+        } else if (changes.length > 0) {
+            const buffs = changes.filter(change => change.effect === 'buff').length;
+            status = buffs === changes.length ? 'buffed' : (buffs === 0 ? 'nerfed' : 'mixed');
+        }
+
+        return { weapon: name, type: (after || before)['Weapon Type'], status, changes, ttk, focus: ttkAt(rankRange), rank };
+    });
+
+    const summary = { added: 0, removed: 0, buffed: 0, nerfed: 0, mixed: 0, unchanged: 0 };
+    weapons.forEach(entry => {
+        summary[entry.status]++;
+    });
+
+    return { range: rankRange, weapons, summary };
+}
+
 /**
  * Get weapons suitable for a specific range
  * @param {string} range - Target range (e.g., '10M')
@@ -297,12 +1202,502 @@ function getWeaponTypeStats(weaponType) {
     return stats;
 }
 
+/**
+ * Get the percentile rank of a value among a group of values
+ * @param {Array<number|null>} values - Values of the whole group, including the ranked one (nulls are ignored)
+ * @param {number} value - Value to rank
+ * @param {string} better - 'higher' | 'lower': which end ranks best
+ * @returns {number} 0–100, where 100 means no value in the group is better; ties share the average
+ */
+function getPercentileRank(values, value, better = 'higher') {
+    const known = values.filter(v => v !== null);
+    if (known.length <= 1) return 100;
+    const worse = known.filter(v => (better === 'lower' ? v > value : v < value)).length;
+    const ties = known.filter(v => v === value).length - 1;
+    return ((worse + ties / 2) / (known.length - 1)) * 100;
+}
+
+/**
+ * Rank a weapon's stats against its type and against all weapons
+ * @param {Object} weapon - Weapon to rank
+ * @param {Array} weapons - All weapons (the weapon's type is taken from these)
+ * @param {Object} options - TTK options (see calculateWeaponTTK)
+ * @returns {Array<Object>} [{ field, label, value, overall, type }] for WEAPON_RANK_FIELDS, where overall and type
+ *   are percentile ranks (see getPercentileRank), or null when the weapon has no value
+ */
+function getWeaponRanks(weapon, weapons, options = {}) {
+    const sameType = weapons.filter(other => other['Weapon Type'] === weapon['Weapon Type']);
+    const round = value => Math.round(value * 10) / 10;
+
+    return WEAPON_RANK_FIELDS.map(({ field, better }) => {
+        const value = getWeaponFieldValue(weapon, field, options);
+        const rank = group => (value === null
+            ? null
+            : round(getPercentileRank(group.map(other => getWeaponFieldValue(other, field, options)), value, better)));
+        return { field, label: getWeaponField(field).label, value, overall: rank(weapons), type: rank(sameType) };
+    });
+}
+
+/**
+ * Get the 0–1 scaling of each similarity feature over a set of weapons
+ * @param {Array} weapons - Weapons that define the lowest (0) and highest (1) value of each stat
+ * @returns {Array<Object>} [{ field, label, better, min, span }] in SIMILARITY_FEATURES order
+ *   (min is null when no weapon has the stat)
+ */
+function getSimilarityScales(weapons) {
+    return SIMILARITY_FEATURES.map(({ field, better }) => {
+        const definition = getWeaponField(field);
+        const values = weapons.map(weapon => getWeaponFieldValue(weapon, field)).filter(value => value !== null);
+        const min = values.length > 0 ? Math.min(...values) : null;
+        return {
+            field,
+            label: definition.group === 'Damage' ? `Damage (${definition.label})` : definition.label,
+            better,
+            min,
+            span: values.length > 0 ? Math.max(...values) - min : 0
+        };
+    });
+}
+
+/**
+ * Build a weapon's normalized feature vector
+ * @param {Object} weapon - Weapon data object
+ * @param {Array<Object>} scales - Result of getSimilarityScales
+ * @returns {Array<number|null>} One 0–1 value per feature (null when the weapon has no value)
+ */
+function getSimilarityVector(weapon, scales) {
+    return scales.map(({ field, min, span }) => {
+        const value = getWeaponFieldValue(weapon, field);
+        if (value === null || min === null) return null;
+        return span > 0 ? (value - min) / span : 0;
+    });
+}
+
+/**
+ * Find the weapons whose stats are closest to a weapon
+ * Each of SIMILARITY_FEATURES is scaled to 0–1 over the given weapons so every stat counts the same; the distance
+ * is the root mean square difference over the features both weapons have.
+ * @param {Object} weapon - Weapon to match
+ * @param {Array} weapons - Candidate weapons (the weapon itself is skipped)
+ * @param {Object} options - { limit: number of results (default 5), scope: key of SIMILARITY_SCOPES (default 'any') }
+ * @returns {Array<Object>} [{ weapon, type, distance, similarity, differences }] closest first, where similarity is
+ *   100 − distance × 100 and differences is [{ field, label, better, value, delta }] with the candidate's value and
+ *   its difference from the matched weapon (null when either value is missing)
+ */
+function getSimilarWeapons(weapon, weapons, options = {}) {
+    const limit = options.limit || 5;
+    const scope = SIMILARITY_SCOPES[options.scope] ? options.scope : 'any';
+    const type = weapon['Weapon Type'];
+
+    // Scale over every weapon so the scope does not change the distances
+    const scales = getSimilarityScales(weapons);
+    const target = getSimilarityVector(weapon, scales);
+    const round = value => Math.round(value * 10) / 10;
+
+    return weapons
+        .filter(other => other.Weapon !== weapon.Weapon)
+        .filter(other => scope === 'any' || (other['Weapon Type'] === type) === (scope === 'same'))
+        .map(other => {
+            const features = getSimilarityVector(other, scales);
+            const squares = target
+                .map((value, index) => (value === null || features[index] === null ? null : (value - features[index]) ** 2))
+                .filter(square => square !== null);
+            if (squares.length === 0) return null;
+
+            const distance = Math.sqrt(squares.reduce((sum, square) => sum + square, 0) / squares.length);
+            const differences = scales.map(({ field, label, better }) => {
+                const value = getWeaponFieldValue(other, field);
+                const own = getWeaponFieldValue(weapon, field);
+                return { field, label, better, value, delta: value === null || own === null ? null : round(value - own) };
+            });
+            return { weapon: other.Weapon, type: other['Weapon Type'], distance, similarity: round((1 - distance) * 100), differences };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+}
+
+/**
+ * Score weapons with a weighted formula for the tier list
+ * Each factor is scored as the weapon's percentile among the scored weapons (100 = best of the group,
+ * ties share the average), so TTK, milliseconds and 0–100 stats can be mixed. Factors a weapon has
+ * no value for are skipped and the remaining weights are scaled up to 100%.
+ * @param {Array} weapons - Weapons to rank against each other
+ * @param {Object} weights - { [factor field]: weight } (see TIER_FACTORS and TIER_PRESETS)
+ * @param {Object} options - TTK options (see calculateWeaponTTK)
+ * @returns {Array<Object>} [{ weapon, type, score, tier, breakdown: [{ field, label, value, percentile, weight, points }] }]
+ *   best first, where weight is the factor's share in percent and points its part of the score;
+ *   weapons without any weighted value are left out
+ */
+function scoreWeapons(weapons, weights = {}, options = {}) {
+    const factors = TIER_FACTORS.filter(factor => weights[factor.field] > 0);
+
+    // Values of every weapon for each factor, used for the percentiles
+    const values = factors.map(factor => weapons.map(weapon => getWeaponFieldValue(weapon, factor.field, options)));
+
+    const round = value => Math.round(value * 10) / 10;
+
+    return weapons
+        .map((weapon, weaponIndex) => {
+            const scored = factors
+                .map((factor, factorIndex) => ({ factor, factorIndex, value: values[factorIndex][weaponIndex] }))
+                .filter(entry => entry.value !== null);
+            const totalWeight = scored.reduce((sum, entry) => sum + weights[entry.factor.field], 0);
+            if (totalWeight === 0) return null;
+
+            const breakdown = scored.map(({ factor, factorIndex, value }) => {
+                const share = weights[factor.field] / totalWeight;
+                const rank = getPercentileRank(values[factorIndex], value, factor.better);
+                return {
+                    field: factor.field,
+                    label: getWeaponField(factor.field).label,
+                    value: round(value),
+                    percentile: round(rank),
+                    weight: round(share * 100),
+                    points: round(rank * share)
+                };
+            });
+            const score = round(breakdown.reduce((sum, entry) => sum + entry.points, 0));
+
+            return { weapon: weapon.Weapon, type: weapon['Weapon Type'], score, tier: getTierForScore(score), breakdown };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Get the tier for a tier list score
+ * @param {number} score - Score from scoreWeapons (0–100)
+ * @returns {string} 'S' | 'A' | 'B' | 'C' | 'D'
+ */
+function getTierForScore(score) {
+    return TIER_THRESHOLDS.find(threshold => score >= threshold.min).tier;
+}
+
+/**
+ * Build a tier list overall or per weapon type
+ * Per type, weapons are only scored against weapons of the same type.
+ * @param {Array} weapons - Weapons to rank
+ * @param {Object} weights - Factor weights (see scoreWeapons)
+ * @param {Object} options - TTK options plus groupBy ('overall' | 'type', default 'overall')
+ * @returns {Array<Object>} [{ group, scores, tiers: [{ tier, weapons }] }] where group is 'Overall'
+ *   or a weapon type, scores come from scoreWeapons and tiers lists the scores of each tier, S first
+ */
+function buildTierList(weapons, weights = {}, options = {}) {
+    const groups = options.groupBy === 'type'
+        ? [...new Set(weapons.map(weapon => weapon['Weapon Type']))]
+            .map(type => ({ group: type, weapons: weapons.filter(weapon => weapon['Weapon Type'] === type) }))
+        : [{ group: 'Overall', weapons }];
+
+    return groups.map(({ group, weapons: members }) => {
+        const scores = scoreWeapons(members, weights, options);
+        return {
+            group,
+            scores,
+            tiers: TIER_THRESHOLDS.map(({ tier }) => ({ tier, weapons: scores.filter(score => score.tier === tier) }))
+        };
+    });
+}
+
+/**
+ * Get the built-in and saved engagement profiles
+ * @returns {Array<Object>} [{ id, label, shares, custom }], built-in profiles first
+ */
+function getEngagementProfiles() {
+    return [
+        ...Object.entries(ENGAGEMENT_PROFILES).map(([id, profile]) => ({ id, ...profile, custom: false })),
+        ...customEngagementProfiles.map(profile => ({ ...profile, custom: true }))
+    ];
+}
+
+/**
+ * Get an engagement profile by id
+ * @param {string} id - Profile id
+ * @returns {Object} Profile, or the default profile when the id is unknown
+ */
+function getEngagementProfile(id) {
+    const profiles = getEngagementProfiles();
+    return profiles.find(profile => profile.id === id) || profiles.find(profile => profile.id === DEFAULT_ENGAGEMENT_PROFILE);
+}
+
+/**
+ * Replace the saved engagement profiles (e.g. with the ones read from storage)
+ * @param {Array<Object>|null} profiles - [{ id, label, shares }]
+ */
+function setCustomEngagementProfiles(profiles) {
+    customEngagementProfiles = (profiles || [])
+        .filter(profile => profile && profile.id && Array.isArray(profile.shares) && normalizeEngagementShares(profile.shares));
+}
+
+/**
+ * Get the saved engagement profiles, for storing
+ * @returns {Array<Object>} [{ id, label, shares }]
+ */
+function getCustomEngagementProfiles() {
+    return customEngagementProfiles.map(profile => ({ ...profile, shares: [...profile.shares] }));
+}
+
+/**
+ * Find a saved engagement profile by name (case-insensitive)
+ * @param {string} label - Profile name
+ * @returns {Object|null} Saved profile, or null when no saved profile has that name
+ */
+function findEngagementProfileByLabel(label) {
+    const name = String(label || '').trim().toLowerCase();
+    return customEngagementProfiles.find(profile => profile.label.toLowerCase() === name) || null;
+}
+
+/**
+ * Save an engagement profile; a saved profile with the same name (case-insensitive) is replaced
+ * Names that only differ in symbols get their own id ("custom-urban", "custom-urban-2", ...).
+ * @param {string} label - Profile name
+ * @param {Array<number>} shares - Share of fights for each of ENGAGEMENT_BANDS
+ * @returns {Object} Saved profile ({ id, label, shares })
+ * @throws {Error} When the name is empty or no band has fights
+ */
+function saveEngagementProfile(label, shares) {
+    const name = String(label || '').trim();
+    if (!name) {
+        throw new Error('Give the profile a name');
+    }
+    if (!normalizeEngagementShares(shares)) {
+        throw new Error('At least one distance band needs a share above 0%');
+    }
+
+    const existing = findEngagementProfileByLabel(name);
+    let id = existing ? existing.id : `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile'}`;
+    if (!existing) {
+        const base = id;
+        for (let suffix = 2; customEngagementProfiles.some(entry => entry.id === id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+    }
+
+    const profile = {
+        id,
+        label: name,
+        shares: ENGAGEMENT_BANDS.map((band, index) => Math.max(0, Number(shares[index]) || 0))
+    };
+    customEngagementProfiles = [...customEngagementProfiles.filter(entry => entry.id !== profile.id), profile];
+    return profile;
+}
+
+/**
+ * Delete a saved engagement profile
+ * @param {string} id - Profile id
+ * @returns {boolean} True when a saved profile was deleted
+ */
+function deleteEngagementProfile(id) {
+    const count = customEngagementProfiles.length;
+    customEngagementProfiles = customEngagementProfiles.filter(profile => profile.id !== id);
+    return customEngagementProfiles.length < count;
+}
+
+/**
+ * Rank weapons by expected TTK over an engagement distance distribution
+ * @param {Array} weapons - Weapon objects
+ * @param {Array<number>} shares - Share of fights for each of ENGAGEMENT_BANDS
+ * @param {Object} options - TTK options (see calculateWeaponTTK)
+ * @returns {Array<Object>} [{ weapon, type, ttk, bands }] fastest first (see calculateExpectedTTK);
+ *   weapons without a TTK in every band with fights are left out
+ */
+function rankByExpectedTTK(weapons, shares, options = {}) {
+    return weapons
+        .map(weapon => {
+            const expected = calculateExpectedTTK(weapon, shares, options);
+            return expected && { weapon: weapon.Weapon, type: weapon['Weapon Type'], ...expected };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.ttk - b.ttk);
+}
+
+/**
+ * Get the table search query name for a weapon object key
+ * 'Weapon Type' becomes 'type', 'Weapon' becomes 'name', '20M' becomes 'damage@20m',
+ * 'TTK_20M' becomes 'ttk@20m' and 'Reload Empty' becomes 'reload-empty'.
+ * @param {string} key - Key of a weapon object from processWeaponData
+ * @returns {string} Query field name
+ */
+function getQueryFieldName(key) {
+    if (key === 'Weapon Type') return 'type';
+    if (key === 'Weapon') return 'name';
+    if (RANGES.includes(key)) return `damage@${key.toLowerCase()}`;
+
+    const perRange = key.match(/^(.+)_(\d+M)$/);
+    if (perRange) {
+        return `${perRange[1].toLowerCase()}@${perRange[2].toLowerCase()}`;
+    }
+    return key.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Get the fields that can be used in table search queries, from the keys of the loaded weapon objects
+ * Fields that match a WEAPON_FIELDS id (e.g. ttk@20m) read their value from there, so TTK and STK
+ * follow the selected method, hit model and target.
+ * @param {Array} weapons - Weapons to read the keys from (defaults to the loaded weapons)
+ * @returns {Object} Map of query field name to { name, key, text, value(weapon, options) }
+ */
+function getQueryFields(weapons = weaponsData) {
+    const sample = weapons[0] || {};
+    const fields = {};
+
+    Object.keys(sample).forEach(key => {
+        if (typeof sample[key] === 'boolean') return;
+
+        const name = getQueryFieldName(key);
+        const registered = WEAPON_FIELDS.find(field => field.id.toLowerCase() === name);
+        fields[name] = {
+            name,
+            key,
+            text: typeof sample[key] === 'string',
+            value: registered && registered.numeric
+                ? registered.value
+                : weapon => (weapon[key] === undefined ? null : weapon[key])
+        };
+    });
+
+    return fields;
+}
+
+/**
+ * Parse a table search query such as `type:smg rpm>800 ttk@20m<300 stk@50m<=5`
+ * Words without an operator search weapon names and types. Text fields (type, name) support
+ * ':' (contains), '=' (equals) and '!=' (does not contain); numeric fields support
+ * '<', '<=', '>', '>=', '=', ':' (equals) and '!='. Values may be quoted: type:"assault rifle".
+ * @param {string} query - Query text
+ * @param {Object} fields - Query fields from getQueryFields
+ * @returns {Object} { terms: [{ start, end, text } | { start, end, field, op, value }], errors: [{ start, end, message }] }
+ */
+function parseWeaponQuery(query, fields = getQueryFields()) {
+    const terms = [];
+    const errors = [];
+    const tokenPattern = /(?:[^\s"]+)?"[^"]*"?|[^\s"]+/g;
+    const unquote = value => value.replace(/^"|"$/g, '');
+    let match;
+
+    while ((match = tokenPattern.exec(String(query || ''))) !== null) {
+        const token = match[0];
+        const start = match.index;
+        const end = start + token.length;
+
+        if ((token.match(/"/g) || []).length % 2 === 1) {
+            errors.push({ start, end, message: 'Missing closing quote' });
+            continue;
+        }
+
+        const comparison = token.match(/^([^\s<>=!:"]+)(<=|>=|!=|<|>|=|:)(.*)$/);
+        if (!comparison) {
+            terms.push({ start, end, text: unquote(token).toLowerCase() });
+            continue;
+        }
+
+        const [, name, op, rawValue] = comparison;
+        const field = fields[name.toLowerCase()];
+        const value = unquote(rawValue);
+
+        if (!field) {
+            errors.push({ start, end: start + name.length, message: `Unknown field "${name}"` });
+        } else if (value === '') {
+            errors.push({ start, end, message: `Missing value after "${name}${op}"` });
+        } else if (field.text) {
+            if ([':', '=', '!='].includes(op)) {
+                terms.push({ start, end, field, op, value: value.toLowerCase() });
+            } else {
+                errors.push({ start, end, message: `"${name}" is text; use ${name}:value` });
+            }
+        } else if (!/^-?\d+(\.\d+)?$/.test(value)) {
+            errors.push({ start: start + name.length + op.length, end, message: `Expected a number for "${name}"` });
+        } else {
+            terms.push({ start, end, field, op, value: parseFloat(value) });
+        }
+    }
+
+    return { terms, errors };
+}
+
+/**
+ * Check a weapon against parsed query terms (all terms must match)
+ * @param {Object} weapon - Weapon data object
+ * @param {Array} terms - Terms from parseWeaponQuery
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {boolean} Whether the weapon matches
+ */
+function matchesWeaponQuery(weapon, terms, options = {}) {
+    return terms.every(term => {
+        if (term.text !== undefined) {
+            return weapon.Weapon.toLowerCase().includes(term.text) ||
+                weapon['Weapon Type'].toLowerCase().includes(term.text);
+        }
+
+        const value = term.field.value(weapon, options);
+        if (value === null) return false;
+
+        if (term.field.text) {
+            const text = String(value).toLowerCase();
+            if (term.op === '=') return text === term.value;
+            if (term.op === '!=') return !text.includes(term.value);
+            return text.includes(term.value);
+        }
+
+        switch (term.op) {
+            case '<': return value < term.value;
+            case '<=': return value <= term.value;
+            case '>': return value > term.value;
+            case '>=': return value >= term.value;
+            case '!=': return value !== term.value;
+            default: return value === term.value;
+        }
+    });
+}
+
+/**
+ * Check a weapon against one numeric filter rule
+ * Rules without a min or max always match; weapons without a value never match a bounded rule.
+ * @param {Object} weapon - Weapon data object
+ * @param {Object} rule - { field, min, max } with field from WEAPON_FIELDS
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {boolean} Whether the weapon matches
+ */
+function matchesFilterRule(weapon, rule, options = {}) {
+    if (rule.min == null && rule.max == null) return true;
+
+    const value = getWeaponFieldValue(weapon, rule.field, options);
+    if (typeof value !== 'number') return false;
+    if (rule.min != null && value < rule.min) return false;
+    if (rule.max != null && value > rule.max) return false;
+    return true;
+}
+
+/**
+ * Check a weapon against AND/OR filter rule groups
+ * Each group combines its rules with 'all' (AND) or 'any' (OR); groups are combined the same way.
+ * Rules and groups without bounds are ignored.
+ * @param {Object} weapon - Weapon data object
+ * @param {Object} rules - { match: 'all' | 'any', groups: [{ match: 'all' | 'any', rules: [{ field, min, max }] }] }
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {boolean} Whether the weapon matches
+ */
+function matchesFilterRules(weapon, rules, options = {}) {
+    const isActive = rule => rule.min != null || rule.max != null;
+    const groups = (rules.groups || [])
+        .map(group => ({ ...group, rules: (group.rules || []).filter(isActive) }))
+        .filter(group => group.rules.length > 0);
+    if (groups.length === 0) return true;
+
+    const matchesGroup = group => (group.match === 'any'
+        ? group.rules.some(rule => matchesFilterRule(weapon, rule, options))
+        : group.rules.every(rule => matchesFilterRule(weapon, rule, options)));
+
+    return rules.match === 'any' ? groups.some(matchesGroup) : groups.every(matchesGroup);
+}
+
 /**
  * Apply filters to weapon data
  * @param {Object} filters - Filter object
+ * @param {Object} options - Same options as calculateWeaponTTK, used by TTK/STK rules
  * @returns {Array} Filtered weapons
  */
-function applyFilters(filters = {}) {
+function applyFilters(filters = {}, options = {}) {
     let data = weaponsData;
 
     // Filter by weapon type
@@ -310,9 +1705,10 @@ function applyFilters(filters = {}) {
         data = filterWeaponsByType(data, filters.types);
     }
 
-    // Filter by search term
+    // Filter by search query (terms with errors are skipped)
     if (filters.search) {
-        data = searchWeapons(data, filters.search);
+        const { terms } = parseWeaponQuery(filters.search);
+        data = data.filter(w => matchesWeaponQuery(w, terms, options));
     }
 
     // Filter by data completeness
@@ -331,6 +1727,11 @@ function applyFilters(filters = {}) {
         });
     }
 
+    // Filter by numeric rule groups
+    if (filters.rules) {
+        data = data.filter(w => matchesFilterRules(w, filters.rules, options));
+    }
+
     filteredData = data;
     return data;
 }
@@ -360,10 +1761,142 @@ function getAllWeapons() {
     return weaponsData;
 }
 
+/**
+ * Get the validation report for the loaded weapon data
+ * @returns {Object|null} Report from validateWeaponRows, or null before loading
+ */
+function getDataHealthReport() {
+    return dataHealthReport;
+}
+
+/**
+ * Get a field definition from WEAPON_FIELDS
+ * @param {string} fieldId - Field id (e.g. 'rpm', 'ttk@20M')
+ * @returns {Object|null} Field definition
+ */
+function getWeaponField(fieldId) {
+    return WEAPON_FIELDS.find(field => field.id === fieldId) || null;
+}
+
+/**
+ * Get a weapon's value for a field
+ * @param {Object} weapon - Weapon data object
+ * @param {string} fieldId - Field id (e.g. 'rpm', 'ttk@20M')
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {number|string|null} Field value (null when unknown)
+ */
+function getWeaponFieldValue(weapon, fieldId, options = {}) {
+    const field = getWeaponField(fieldId);
+    if (!field) return null;
+    const value = field.value(weapon, options);
+    return value === undefined ? null : value;
+}
+
+/**
+ * Sort weapons by one or more fields
+ * Missing values always sort last; ties fall through to the next key.
+ * @param {Array} weapons - Array of weapon objects
+ * @param {Array<Object>} sortKeys - [{ field, direction: 'asc' | 'desc' }] in priority order
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {Array} Sorted copy of the weapons array
+ */
+function sortWeaponsByFields(weapons, sortKeys = [], options = {}) {
+    const keys = sortKeys.filter(key => getWeaponField(key.field));
+    if (keys.length === 0) return [...weapons];
+
+    // Read every value once rather than on each comparison
+    const rows = weapons.map((weapon, index) => ({
+        weapon,
+        index,
+        values: keys.map(key => getWeaponFieldValue(weapon, key.field, options))
+    }));
+
+    rows.sort((a, b) => {
+        for (let i = 0; i < keys.length; i++) {
+            const aValue = a.values[i];
+            const bValue = b.values[i];
+            if (aValue === bValue) continue;
+            if (aValue === null) return 1;
+            if (bValue === null) return -1;
+
+            const result = typeof aValue === 'number' && typeof bValue === 'number'
+                ? aValue - bValue
+                : String(aValue).localeCompare(String(bValue));
+            if (result !== 0) {
+                return keys[i].direction === 'desc' ? -result : result;
+            }
+        }
+        return a.index - b.index; // Keep CSV order for ties
+    });
+
+    return rows.map(row => row.weapon);
+}
+
+/**
+ * Build export rows from weapon table fields
+ * @param {Array} weapons - Weapon objects, in export order
+ * @param {Array<string>} fieldIds - Ids from WEAPON_FIELDS, in column order
+ * @param {Object} options - TTK options for TTK/STK/kills per mag fields (see calculateWeaponTTK)
+ * @returns {Array<Object>} Rows keyed by field label; numbers rounded to one decimal, missing values null
+ */
+function getWeaponExportRows(weapons, fieldIds, options = {}) {
+    const fields = fieldIds.map(getWeaponField).filter(Boolean);
+    return weapons.map(weapon => {
+        const row = {};
+        fields.forEach(field => {
+            const value = getWeaponFieldValue(weapon, field.id, options);
+            row[field.label] = typeof value === 'number' ? Math.round(value * 10) / 10 : (value == null ? null : value);
+        });
+        return row;
+    });
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        ATTACHMENT_SLOTS,
+        WEAPON_FIELDS,
+        EDITABLE_WEAPON_FIELDS,
+        WEAPON_CSV_COLUMNS,
+        DEFAULT_PATCH,
+        PATCH_DIFF_STATS,
+        TIER_FACTORS,
+        TIER_PRESETS,
+        TIER_THRESHOLDS,
+        WEAPON_RANK_FIELDS,
+        SIMILARITY_FEATURES,
+        SIMILARITY_SCOPES,
+        fetchCSV,
+        loadPatchManifest,
+        processPatchManifest,
+        getPatches,
+        getPatch,
+        getCurrentPatch,
+        fetchPatchCSV,
+        loadPatchWeapons,
+        loadPatchSnapshots,
         loadWeaponData,
+        parseWeaponFile,
+        mergeWeaponRows,
+        setCustomImport,
+        getCustomImport,
+        processWeaponData,
+        normalizeWeaponStat,
+        deriveWeaponStats,
+        setWeaponStat,
+        getWeaponEdits,
+        editWeaponStat,
+        undoWeaponEdit,
+        redoWeaponEdit,
+        clearWeaponEdits,
+        getWeaponEditState,
+        getWeaponCSVRows,
+        applyTargetProfile,
+        loadAttachmentData,
+        processAttachmentData,
+        getAttachmentsForWeapon,
+        getAttachmentByName,
+        applyAttachments,
         getWeaponTypes,
         getWeaponsByType,
         getWeaponByName,
@@ -373,11 +1906,45 @@ if (typeof module !== 'undefined' && module.exports) {
         getWeaponDamageProfile,
         getWeaponTTKProfile,
         compareWeapons,
+        compareWeaponList,
+        getTTKRanks,
+        getWeaponTrendValue,
+        getMetaLeaders,
+        getBestWeaponByDistance,
+        findAllTTKCrossovers,
+        diffPatches,
         getWeaponsForRange,
         getWeaponTypeStats,
+        getQueryFieldName,
+        getQueryFields,
+        parseWeaponQuery,
+        matchesWeaponQuery,
+        matchesFilterRule,
+        matchesFilterRules,
         applyFilters,
         resetFilters,
         getFilteredData,
-        getAllWeapons
+        getAllWeapons,
+        getDataHealthReport,
+        getWeaponField,
+        getWeaponFieldValue,
+        sortWeaponsByFields,
+        getWeaponExportRows,
+        getPercentileRank,
+        getWeaponRanks,
+        getSimilarityScales,
+        getSimilarityVector,
+        getSimilarWeapons,
+        scoreWeapons,
+        getTierForScore,
+        buildTierList,
+        getEngagementProfiles,
+        getEngagementProfile,
+        setCustomEngagementProfiles,
+        getCustomEngagementProfiles,
+        findEngagementProfileByLabel,
+        saveEngagementProfile,
+        deleteEngagementProfile,
+        rankByExpectedTTK
     };
 }
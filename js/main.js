@@ -3,18 +3,80 @@
  * Handles initialization, event listeners, and UI updates
  */
 
+// Weapon table columns shown by default (ids from WEAPON_FIELDS)
+const DEFAULT_TABLE_COLUMNS = [
+    'type', 'weapon', 'damage@10M', 'damage@20M', 'damage@35M', 'damage@50M', 'damage@70M',
+    'rpm', 'dps', 'ads', 'ttk@10M', 'status'
+];
+
+// Most crossovers listed for "All pairs" (nearest first); picking a weapon lists all of its crossovers
+const CROSSOVER_TABLE_LIMIT = 100;
+
 // Application state
-let currentFilters = {
-    types: ['ALL'],
-    range: 'all',
-    chartType: 'damage',
-    search: '',
-    method: 'hip',
-    recoilImpact: 4
-};
+let currentFilters = getDefaultFilters();
 
 let isDarkTheme = true; // Default to dark theme
 
+let isEditMode = false; // Weapon table stat editor
+
+let tierListGroups = []; // Last tier list from updateTierList (used for the score breakdown)
+
+let duelSimulationKey = ''; // Inputs of the last duel run, so unrelated updates skip the simulation
+let breakpointKey = ''; // Same for the breakpoints panel, which does not depend on the focus range
+
+let patchDiffRequest = 0; // Ignores patch diffs that finish after a newer one was started
+let patchDiffKey = ''; // Inputs of the last patch diff, which does not depend on the filters
+let weaponTrendRequest = 0; // Same for the weapon trend view
+let weaponTrendKey = ''; // Inputs of the last trend render; the trends do not depend on filters or the focus range
+
+// Charts offered by the export dialog (container id → label); hidden sections are skipped
+const EXPORT_CHARTS = {
+    mainChart: 'Main chart',
+    ttkChart: 'TTK ranking',
+    dpsChart: 'RPM vs DPS',
+    comparisonDamageChart: 'Comparison: damage',
+    comparisonTTKChart: 'Comparison: TTK',
+    loadoutChart: 'Loadout TTK',
+    duelChart: 'Duel simulator',
+    patchDeltaChart: 'Patch changes',
+    trendChart: 'Weapon trends',
+    engagementChart: 'Engagement profile TTK',
+    bestWeaponChart: 'Best weapon by distance'
+};
+
+// Export dialog formats: file extension and MIME type
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv;charset=utf-8;' },
+    json: { extension: 'json', type: 'application/json;charset=utf-8;' },
+    markdown: { extension: 'md', type: 'text/markdown;charset=utf-8;' }
+};
+
+// URL hash parameter used for each shareable filter
+const URL_STATE_KEYS = {
+    patch: 'patch',
+    types: 'types',
+    range: 'range',
+    falloff: 'falloff',
+    chartType: 'chart',
+    search: 'q',
+    method: 'method',
+    recoilImpact: 'impact',
+    hitModel: 'hit',
+    hitDistribution: 'hits',
+    hitCase: 'case',
+    target: 'target',
+    histogramWeapon: 'dist',
+    typeMetric: 'metric',
+    compare: 'compare',
+    sort: 'sort',
+    columns: 'cols',
+    rules: 'rules',
+    weapon: 'weapon'
+};
+
+// Push filter changes to the browser history once the user pauses
+const scheduleUrlStateUpdate = debounce(() => writeUrlState(false), 400);
+
 /**
  * Show loading state
  */
@@ -44,15 +106,10 @@ function showError(message) {
 }
 
 /**
- * Initialize charts with default data
+ * Initialize charts, table and stats for the current filters
  */
 function initializeCharts(weapons) {
-    const completeWeapons = weapons.filter(isWeaponDataComplete);
-    if (completeWeapons.length > 0) {
-        createDamageChart(completeWeapons, 'mainChart');
-        createTTKChart(completeWeapons, '10M', 'ttkChart');
-        createRPMvsDPSChart(completeWeapons, 'dpsChart');
-    }
+    updateVisualization();
 }
 
 /**
@@ -63,33 +120,10 @@ function getAllWeapons() {
 }
 
 /**
- * Get filtered weapon data
+ * Get weapon data matching the current filters (TTK/STK rules use the selected method, hit model and target)
  */
 function getFilteredData() {
-    return applyFilters(currentFilters);
-}
-
-/**
- * Apply current filters to weapon data
- */
-function applyFilters(filters) {
-    let filtered = weaponsData || [];
-    
-    // Apply type filter
-    if (filters.types && !filters.types.includes('ALL')) {
-        filtered = filtered.filter(w => filters.types.includes(w['Weapon Type']));
-    }
-    
-    // Apply search filter
-    if (filters.search && filters.search.trim()) {
-        const searchTerm = filters.search.toLowerCase();
-        filtered = filtered.filter(w => 
-            w.Weapon.toLowerCase().includes(searchTerm) ||
-            w['Weapon Type'].toLowerCase().includes(searchTerm)
-        );
-    }
-    
-    return filtered;
+    return applyFilters(currentFilters, getTTKOptions());
 }
 
 /**
@@ -99,28 +133,6 @@ function resetFilters() {
     // This function is called by handleResetFilters - keeping for compatibility
 }
 
-/**
- * Update chart based on type and data
- */
-function updateChart(chartType, weapons, options) {
-    const containerId = options.containerId || 'mainChart';
-    const range = options.range || '10M';
-    
-    switch(chartType) {
-        case 'damage':
-            createDamageChart(weapons, containerId);
-            break;
-        case 'ttk':
-            createTTKChart(weapons, range, containerId);
-            break;
-        case 'rpm-dps':
-            createRPMvsDPSChart(weapons, containerId);
-            break;
-        default:
-            createDamageChart(weapons, containerId);
-    }
-}
-
 /**
  * Clear chart container
  */
@@ -138,19 +150,49 @@ async function init() {
     try {
         showLoadingState();
 
-        // Load weapon data
-        const weapons = await loadWeaponData();
+        // The patch manifest decides which weapon CSV to load; shared links can pin a patch
+        await loadPatchManifest();
+        const urlPatch = new URLSearchParams(window.location.hash.replace(/^#/, '')).get(URL_STATE_KEYS.patch);
+
+        // Re-apply a weapon file imported on an earlier visit
+        setCustomImport(await readStoredValue('imports', 'custom').catch(() => null));
+        setCustomEngagementProfiles(await readStoredValue('profiles', 'engagement').catch(() => null));
+
+        // Load weapon data (attachments are optional; the loadout builder hides without them)
+        const [weapons] = await Promise.all([
+            loadWeaponData(urlPatch && getPatch(urlPatch) ? urlPatch : ''),
+            loadAttachmentData().catch(() => [])
+        ]);
+
+        // Restore shared state from the URL before the first render
+        currentFilters = { ...getDefaultFilters(), ...parseUrlState(window.location.hash) };
 
         // Initialize UI
-        updateStatsSummary(weapons);
-        populateWeaponTable(weapons);
-        initializeCharts(weapons);
+        initLoadoutBuilder(weapons);
+        initHistogramWeaponSelect(weapons);
+        initWeaponComparison(weapons);
+        initDuelSimulator(weapons);
+        initTierList();
+        initEngagementProfiles();
+        initBreakpoints(weapons);
+        initAlternatives(weapons);
+        initWeaponTrends(weapons);
+        initColumnChooser();
+        initExportDialog();
+        initFilterBuilder();
+        renderDataHealth();
+        initPatchControls();
+        initDataImport();
 
         // Setup event listeners
         setupEventListeners();
 
-        // Ensure UI matches default filter state
-        applyDefaultFilterState();
+        // Ensure UI matches the (possibly restored) filter state
+        syncFilterControls();
+
+        // Render charts, table and stats for the current filters
+        initializeCharts(weapons);
+        writeUrlState(true);
 
         // Apply saved theme preference
         loadThemePreference();
@@ -174,10 +216,15 @@ function setupEventListeners() {
         typeFilter.addEventListener('change', handleFilterChange);
     }
 
-    // Range selector
+    // Range slider and falloff model
     const rangeSelector = document.getElementById('rangeSelector');
     if (rangeSelector) {
-        rangeSelector.addEventListener('change', handleRangeChange);
+        rangeSelector.addEventListener('input', handleRangeChange);
+    }
+
+    const falloffMode = document.getElementById('falloffMode');
+    if (falloffMode) {
+        falloffMode.addEventListener('change', handleFalloffChange);
     }
 
     // Chart type selector
@@ -186,6 +233,11 @@ function setupEventListeners() {
         chartType.addEventListener('change', handleChartTypeChange);
     }
 
+    const typeMetric = document.getElementById('typeMetric');
+    if (typeMetric) {
+        typeMetric.addEventListener('change', handleTypeMetricChange);
+    }
+
     // Reset filters button
     const resetBtn = document.getElementById('resetFilters');
     if (resetBtn) {
@@ -208,14 +260,89 @@ function setupEventListeners() {
     const tableSearch = document.getElementById('tableSearch');
     if (tableSearch) {
         tableSearch.addEventListener('input', debounce(handleTableSearch, 300));
+
+        // Query errors and field name autocomplete update as the user types
+        tableSearch.addEventListener('input', () => {
+            updateQueryFeedback();
+            updateQuerySuggestions();
+        });
+        tableSearch.addEventListener('keydown', handleQueryKeydown);
+        tableSearch.addEventListener('blur', () => {
+            const list = document.getElementById('tableSearchSuggestions');
+            if (list) list.hidden = true;
+        });
+    }
+
+    const suggestions = document.getElementById('tableSearchSuggestions');
+    if (suggestions) {
+        // mousedown keeps focus in the search box
+        suggestions.addEventListener('mousedown', event => {
+            const item = event.target.closest('li[data-name]');
+            if (item) {
+                event.preventDefault();
+                acceptQuerySuggestion(item.dataset.name);
+            }
+        });
     }
 
-    // Export CSV button
+    // Export button (opens the export dialog)
     const exportBtn = document.getElementById('exportCSV');
     if (exportBtn) {
-        exportBtn.addEventListener('click', handleExportCSV);
+        exportBtn.addEventListener('click', openExportDialog);
+    }
+
+    // Weapon table sorting (Shift adds a secondary sort key)
+    const tableHead = document.getElementById('weaponTableHead');
+    if (tableHead) {
+        tableHead.addEventListener('click', handleTableHeaderSort);
+        tableHead.addEventListener('keydown', handleTableHeaderSort);
+    }
+
+    const clearSortBtn = document.getElementById('clearTableSort');
+    if (clearSortBtn) {
+        clearSortBtn.addEventListener('click', handleClearTableSort);
+    }
+
+    // Stat editor (edits are applied when an input is committed)
+    const editToggle = document.getElementById('toggleEditMode');
+    if (editToggle) {
+        editToggle.addEventListener('click', handleToggleEditMode);
+    }
+
+    const tableBody = document.getElementById('weaponTableBody');
+    if (tableBody) {
+        tableBody.addEventListener('change', handleWeaponCellEdit);
+        tableBody.addEventListener('click', handleWeaponRowOpen);
+        tableBody.addEventListener('keydown', handleWeaponRowOpen);
+    }
+
+    // Weapon detail view
+    const closeDetail = document.getElementById('closeWeaponDetail');
+    if (closeDetail) {
+        closeDetail.addEventListener('click', closeWeaponDetail);
+    }
+
+    const similar = document.getElementById('detailSimilar');
+    if (similar) {
+        similar.addEventListener('click', event => {
+            const button = event.target.closest('button[data-weapon]');
+            if (button) openWeaponDetail(button.dataset.weapon);
+        });
     }
 
+    const editActions = {
+        undoEdit: () => applyEditHistory(undoWeaponEdit),
+        redoEdit: () => applyEditHistory(redoWeaponEdit),
+        resetEdits: handleResetEdits,
+        exportEdits: handleExportEdits
+    };
+    Object.entries(editActions).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+
     // Fire mode selector
     const fireMode = document.getElementById('fireMode');
     if (fireMode) {
@@ -228,8 +355,49 @@ function setupEventListeners() {
         recoilImpact.addEventListener('input', handleRecoilImpactChange);
     }
 
+    // Hit model selector and distribution inputs
+    const hitModel = document.getElementById('hitModel');
+    if (hitModel) {
+        hitModel.addEventListener('change', handleHitModelChange);
+    }
+
+    ['hitHead', 'hitTorso', 'hitLimb'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', debounce(handleHitDistributionChange, 300));
+        }
+    });
+
+    const hitCase = document.getElementById('hitCase');
+    if (hitCase) {
+        hitCase.addEventListener('change', handleHitCaseChange);
+    }
+
+    // Target profile selector
+    const targetProfile = document.getElementById('targetProfile');
+    if (targetProfile) {
+        targetProfile.addEventListener('change', handleTargetProfileChange);
+    }
+
+    // Patch selector and patch history pickers
+    const patchSelect = document.getElementById('patchSelect');
+    if (patchSelect) {
+        patchSelect.addEventListener('change', handlePatchChange);
+    }
+
+    ['patchFrom', 'patchTo'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', updatePatchDiff);
+        }
+    });
+
+    // Back/forward navigation restores the filters saved in the URL
+    window.addEventListener('popstate', handleUrlStateChange);
+
     // Ensure correct initial visibility
     updateRecoilImpactVisibility();
+    updateHitDistributionVisibility();
 }
 
 /**
@@ -263,10 +431,21 @@ function handleFilterChange(event) {
 }
 
 /**
- * Handle range selector change
+ * Handle focus range slider change
  */
 function handleRangeChange(event) {
-    currentFilters.range = event.target.value;
+    const distance = parseInt(event.target.value, 10);
+    currentFilters.range = isNaN(distance) ? 10 : distance;
+    const valueLabel = document.getElementById('rangeValue');
+    if (valueLabel) valueLabel.textContent = String(currentFilters.range);
+    updateVisualization();
+}
+
+/**
+ * Handle damage falloff model change (step vs linear)
+ */
+function handleFalloffChange(event) {
+    currentFilters.falloff = event.target.value; // 'step' | 'linear'
     updateVisualization();
 }
 
@@ -275,103 +454,345 @@ function handleRangeChange(event) {
  */
 function handleChartTypeChange(event) {
     currentFilters.chartType = event.target.value;
+    updateRecoilImpactVisibility();
+    updateHistogramWeaponVisibility();
+    updateTypeMetricVisibility();
     updateVisualization();
 }
 
 /**
- * Handle reset filters button click
+ * Handle weapon type comparison metric change
  */
-function handleResetFilters() {
-    // Reset filter state
-    currentFilters = {
+function handleTypeMetricChange(event) {
+    currentFilters.typeMetric = event.target.value; // 'avg-damage' | 'avg-ttk' | 'median-ttk'
+    updateVisualization();
+}
+
+/**
+ * Ensure the type comparison metric toggle is only shown for the type comparison view
+ */
+function updateTypeMetricVisibility() {
+    const group = document.getElementById('typeMetricGroup');
+    const shouldShow = currentFilters.chartType === 'type-comparison';
+    document.body.classList.toggle('show-type-metric', shouldShow);
+    if (group) group.hidden = !shouldShow;
+}
+
+/**
+ * Fill the TTK distribution weapon picker
+ */
+function initHistogramWeaponSelect(weapons) {
+    const select = document.getElementById('histogramWeapon');
+    if (!select) return;
+
+    populateWeaponSelect(select, weapons);
+
+    select.addEventListener('change', event => {
+        currentFilters.histogramWeapon = event.target.value;
+        updateVisualization();
+    });
+}
+
+/**
+ * Ensure the TTK distribution weapon picker is only shown for the histogram view
+ */
+function updateHistogramWeaponVisibility() {
+    const group = document.getElementById('histogramWeaponGroup');
+    const shouldShow = currentFilters.chartType === 'histogram';
+    document.body.classList.toggle('show-histogram', shouldShow);
+    if (group) group.hidden = !shouldShow;
+}
+
+/**
+ * Get the default filter state
+ */
+function getDefaultFilters() {
+    return {
+        patch: '', // patch id from data/patches/manifest.json (empty = latest)
         types: ['ALL'],
-        range: 'all',
+        range: 10, // focus distance in meters
+        falloff: 'step',
         chartType: 'damage',
         search: '',
         method: 'hip',
-        recoilImpact: 4
+        recoilImpact: 4,
+        hitModel: 'body',
+        hitCase: 'typical',
+        hitDistribution: { ...DEFAULT_HIT_DISTRIBUTION },
+        target: DEFAULT_TARGET_PROFILE,
+        histogramWeapon: '', // weapon shown in the TTK distribution view
+        typeMetric: 'avg-damage', // metric shown in the weapon type comparison view
+        compare: [], // weapons in the comparison panel (empty = first two weapons)
+        rules: { match: 'all', groups: [] }, // advanced filter rule groups (see matchesFilterRules)
+        sort: [], // weapon table sort keys [{ field, direction }] (empty = CSV order)
+        columns: [...DEFAULT_TABLE_COLUMNS], // weapon table columns (ids from WEAPON_FIELDS)
+        weapon: '' // weapon shown in the detail view (empty = no detail view)
+    };
+}
+
+/**
+ * Handle reset filters button click
+ */
+function handleResetFilters() {
+    // Reset filter state (the patch, the picked histogram and comparison weapons and the table layout are kept)
+    currentFilters = {
+        ...getDefaultFilters(),
+        patch: currentFilters.patch,
+        histogramWeapon: currentFilters.histogramWeapon,
+        compare: currentFilters.compare,
+        sort: currentFilters.sort,
+        columns: currentFilters.columns
     };
 
     // Reset UI controls
+    syncFilterControls();
+
+    // Update visualization
+    resetFilters();
+    updateVisualization();
+}
+
+/**
+ * Update UI controls to match the currentFilters state
+ */
+function syncFilterControls() {
     const typeFilter = document.getElementById('weaponTypeFilter');
     if (typeFilter) {
-        // Clear all selections first
         Array.from(typeFilter.options).forEach(option => {
-            option.selected = option.value === 'ALL';
+            option.selected = currentFilters.types.includes(option.value);
         });
     }
 
-    const rangeSelector = document.getElementById('rangeSelector');
-    if (rangeSelector) {
-        rangeSelector.value = 'all';
-    }
+    const values = {
+        patchSelect: getCurrentPatch().id,
+        rangeSelector: currentFilters.range,
+        falloffMode: currentFilters.falloff,
+        chartType: currentFilters.chartType,
+        tableSearch: currentFilters.search,
+        fireMode: currentFilters.method,
+        recoilImpact: currentFilters.recoilImpact,
+        typeMetric: currentFilters.typeMetric
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.value = String(value);
+        }
+    });
 
-    const chartType = document.getElementById('chartType');
-    if (chartType) {
-        chartType.value = 'damage';
-    }
+    const labels = {
+        rangeValue: currentFilters.range,
+        recoilImpactValue: currentFilters.recoilImpact
+    };
+    Object.entries(labels).forEach(([id, value]) => {
+        const label = document.getElementById(id);
+        if (label) {
+            label.textContent = String(value);
+        }
+    });
 
-    const tableSearch = document.getElementById('tableSearch');
-    if (tableSearch) {
-        tableSearch.value = '';
+    const histogramWeapon = document.getElementById('histogramWeapon');
+    if (histogramWeapon && currentFilters.histogramWeapon) {
+        histogramWeapon.value = currentFilters.histogramWeapon;
     }
 
-    const fireMode = document.getElementById('fireMode');
-    if (fireMode) {
-        fireMode.value = 'hip';
-    }
+    updateRecoilImpactVisibility();
+    updateHistogramWeaponVisibility();
+    updateTypeMetricVisibility();
+    updateQueryFeedback();
+    syncHitModelControls();
+    syncTargetProfileControls();
+    syncComparisonControls();
+    syncColumnChooser();
+    renderFilterBuilder();
+}
 
-    const recoilImpact = document.getElementById('recoilImpact');
-    if (recoilImpact) {
-        recoilImpact.value = '4';
+/**
+ * Encode a filter value for the URL hash
+ */
+function encodeFilterValue(field, value) {
+    if (field === 'hitDistribution') {
+        return HIT_ZONES.map(zone => value[zone]).join('-');
+    }
+    if (field === 'rules') {
+        // e.g. 'all;any,rpm:700:,ads::300' = top-level match, then one match mode and field:min:max list per group
+        return [value.match, ...value.groups.map(group => [
+            group.match,
+            ...group.rules.map(rule => [rule.field, rule.min != null ? rule.min : '', rule.max != null ? rule.max : ''].join(':'))
+        ].join(','))].join(';');
+    }
+    if (field === 'sort') {
+        return value.map(key => `${key.direction === 'desc' ? '-' : ''}${key.field}`).join(',');
+    }
+    if (Array.isArray(value)) {
+        return value.join(',');
     }
+    return value == null ? '' : String(value);
+}
 
-    updateRecoilImpactVisibility();
+/**
+ * Serialize filters to a URL hash (without '#'); default values are left out
+ */
+function serializeUrlState(filters) {
+    const defaults = getDefaultFilters();
+    const params = new URLSearchParams();
+
+    Object.entries(URL_STATE_KEYS).forEach(([field, key]) => {
+        const value = encodeFilterValue(field, filters[field]);
+        if (value !== encodeFilterValue(field, defaults[field])) {
+            params.set(key, value);
+        }
+    });
 
-    // Update visualization
-    resetFilters();
-    updateVisualization();
-    populateWeaponTable(getAllWeapons());
+    // These characters are valid in a URL fragment; keep lists, field ids and rules readable
+    return params.toString()
+        .replace(/%2C/g, ',')
+        .replace(/%40/g, '@')
+        .replace(/%3A/g, ':')
+        .replace(/%3B/g, ';');
 }
 
 /**
- * Apply default filter state to UI elements (matches Reset Filters)
+ * Check whether a select element offers a value
  */
-function applyDefaultFilterState() {
-    // Ensure UI controls match the default currentFilters state
-    const typeFilter = document.getElementById('weaponTypeFilter');
-    if (typeFilter) {
-        Array.from(typeFilter.options).forEach(option => {
-            option.selected = option.value === 'ALL';
+function isSelectOption(id, value) {
+    const select = document.getElementById(id);
+    return !!select && Array.from(select.options).some(option => option.value === value);
+}
+
+/**
+ * Parse filters from a URL hash; invalid or unknown values are ignored
+ * @returns {Object} Partial filter state
+ */
+function parseUrlState(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const get = field => params.get(URL_STATE_KEYS[field]);
+    const state = {};
+
+    const types = (get('types') || '').split(',').filter(type => isSelectOption('weaponTypeFilter', type));
+    if (types.length > 0) {
+        state.types = types.includes('ALL') ? ['ALL'] : types;
+    }
+
+    const range = parseInt(get('range'), 10);
+    if (!isNaN(range)) {
+        state.range = Math.min(MAX_DISTANCE, Math.max(1, range));
+    }
+
+    const recoilImpact = parseInt(get('recoilImpact'), 10);
+    if (!isNaN(recoilImpact)) {
+        state.recoilImpact = Math.min(5, Math.max(1, recoilImpact));
+    }
+
+    if (get('patch') && getPatch(get('patch'))) state.patch = get('patch');
+    if (FALLOFF_MODES.includes(get('falloff'))) state.falloff = get('falloff');
+    if (isSelectOption('chartType', get('chartType'))) state.chartType = get('chartType');
+    if (isSelectOption('typeMetric', get('typeMetric'))) state.typeMetric = get('typeMetric');
+    if (isSelectOption('fireMode', get('method'))) state.method = get('method');
+    if (isSelectOption('hitModel', get('hitModel'))) state.hitModel = get('hitModel');
+    if (isSelectOption('hitCase', get('hitCase'))) state.hitCase = get('hitCase');
+    if (TARGET_PROFILES[get('target')]) state.target = get('target');
+    if (get('search')) state.search = get('search');
+    if (getWeaponByName(get('histogramWeapon'))) state.histogramWeapon = get('histogramWeapon');
+    if (getWeaponByName(get('weapon'))) state.weapon = get('weapon');
+
+    const shares = (get('hitDistribution') || '').split('-').map(Number);
+    if (shares.length === HIT_ZONES.length && shares.every(share => !isNaN(share) && share >= 0)) {
+        state.hitDistribution = {};
+        HIT_ZONES.forEach((zone, i) => {
+            state.hitDistribution[zone] = shares[i];
         });
     }
 
-    const rangeSelector = document.getElementById('rangeSelector');
-    if (rangeSelector) {
-        rangeSelector.value = 'all';
+    const compare = [...new Set((get('compare') || '').split(','))].filter(name => getWeaponByName(name)).slice(0, 4);
+    if (compare.length >= 2) {
+        state.compare = compare;
     }
 
-    const chartType = document.getElementById('chartType');
-    if (chartType) {
-        chartType.value = 'damage';
+    const rules = parseFilterRules(get('rules'));
+    if (rules) {
+        state.rules = rules;
     }
 
-    const fireMode = document.getElementById('fireMode');
-    if (fireMode) {
-        fireMode.value = 'hip';
+    const columns = (get('columns') || '').split(',').filter(getWeaponField);
+    if (columns.length > 0) {
+        state.columns = normalizeTableColumns(columns);
     }
 
-    const recoilImpact = document.getElementById('recoilImpact');
-    if (recoilImpact) {
-        recoilImpact.value = '4';
+    // Sort keys look like 'rpm' (ascending) or '-ttk@20M' (descending)
+    const sort = (get('sort') || '').split(',')
+        .filter(Boolean)
+        .map(key => (key.startsWith('-')
+            ? { field: key.slice(1), direction: 'desc' }
+            : { field: key, direction: 'asc' }))
+        .filter(key => (state.columns || DEFAULT_TABLE_COLUMNS).includes(key.field));
+    if (sort.length > 0) {
+        state.sort = sort.filter((key, i) => sort.findIndex(other => other.field === key.field) === i);
     }
 
-    updateRecoilImpactVisibility();
+    return state;
+}
 
-    const tableSearch = document.getElementById('tableSearch');
-    if (tableSearch) {
-        tableSearch.value = '';
+/**
+ * Parse advanced filter rules written by encodeFilterValue; unknown fields are dropped
+ * @returns {Object|null} { match, groups } or null when the value is missing or invalid
+ */
+function parseFilterRules(value) {
+    if (!value) return null;
+
+    const [match, ...groups] = value.split(';');
+    if (match !== 'all' && match !== 'any') return null;
+
+    const toBound = bound => {
+        const number = parseFloat(bound);
+        return isNaN(number) ? null : number;
+    };
+
+    return {
+        match,
+        groups: groups
+            .map(group => group.split(','))
+            .filter(([groupMatch]) => groupMatch === 'all' || groupMatch === 'any')
+            .map(([groupMatch, ...rules]) => ({
+                match: groupMatch,
+                rules: rules
+                    .map(rule => rule.split(':'))
+                    .filter(([field]) => isFilterField(field))
+                    .map(([field, min, max]) => ({ field, min: toBound(min), max: toBound(max) }))
+            }))
+    };
+}
+
+/**
+ * Write the current filters to the URL hash
+ * @param {boolean} replace - Replace the current history entry instead of adding one
+ */
+function writeUrlState(replace = false) {
+    const hash = serializeUrlState(currentFilters);
+    if (window.location.hash.replace(/^#/, '') === hash) return;
+
+    const url = hash ? `#${hash}` : `${window.location.pathname}${window.location.search}`;
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+/**
+ * Restore filters when the user navigates back/forward or edits the hash
+ */
+async function handleUrlStateChange() {
+    // Load the linked patch first so weapon names in the hash are checked against its weapons
+    const patchId = parseUrlState(window.location.hash).patch || '';
+    if (getPatch(patchId).id !== getCurrentPatch().id) {
+        await switchPatch(patchId);
     }
+
+    currentFilters = { ...getDefaultFilters(), ...parseUrlState(window.location.hash) };
+    syncFilterControls();
+    resetFilters();
+    initializeCharts(getAllWeapons());
 }
 
 /**
@@ -393,8 +814,159 @@ function handleCompareAll() {
  */
 function handleTableSearch(event) {
     currentFilters.search = event.target.value;
-    const weapons = applyFilters(currentFilters);
+    const weapons = getFilteredData();
     populateWeaponTable(weapons);
+    scheduleUrlStateUpdate();
+}
+
+/**
+ * Show query errors under the table search box, marking the invalid parts of the query
+ */
+function updateQueryFeedback() {
+    const input = document.getElementById('tableSearch');
+    const feedback = document.getElementById('tableSearchFeedback');
+    if (!input || !feedback) return;
+
+    const query = input.value;
+    const { errors } = parseWeaponQuery(query);
+
+    input.classList.toggle('has-error', errors.length > 0);
+    input.setAttribute('aria-invalid', errors.length > 0 ? 'true' : 'false');
+    feedback.innerHTML = '';
+    if (errors.length === 0) return;
+
+    // Echo the query with each error range wrapped in <mark>
+    const echo = document.createElement('div');
+    echo.className = 'query-echo';
+    let position = 0;
+    errors.forEach(error => {
+        echo.appendChild(document.createTextNode(query.slice(position, error.start)));
+        const mark = document.createElement('mark');
+        mark.className = 'query-error';
+        mark.title = error.message;
+        mark.textContent = query.slice(error.start, error.end);
+        echo.appendChild(mark);
+        position = error.end;
+    });
+    echo.appendChild(document.createTextNode(query.slice(position)));
+    feedback.appendChild(echo);
+
+    const messages = document.createElement('div');
+    messages.className = 'query-messages';
+    messages.textContent = `${errors.map(error => error.message).join(' · ')} (ignored)`;
+    feedback.appendChild(messages);
+}
+
+/**
+ * Get the word being typed at the caret of the table search box, if it can still become a field name
+ * @returns {Object|null} { start, end, word }
+ */
+function getQueryWordAtCaret(input) {
+    const caret = input.selectionStart != null ? input.selectionStart : input.value.length;
+    const before = input.value.slice(0, caret);
+    const start = before.search(/\S*$/);
+    const word = before.slice(start);
+
+    // Operators or quotes mean the field name is already complete
+    if (!word || /[<>=!:"]/.test(word)) return null;
+
+    const rest = input.value.slice(caret).match(/^\S*/)[0];
+    return { start, end: caret + rest.length, word: word.toLowerCase() };
+}
+
+/**
+ * Suggest query field names that start with the word at the caret
+ */
+function updateQuerySuggestions() {
+    const input = document.getElementById('tableSearch');
+    const list = document.getElementById('tableSearchSuggestions');
+    if (!input || !list) return;
+
+    const current = getQueryWordAtCaret(input);
+    const names = current
+        ? Object.keys(getQueryFields()).filter(name => name.startsWith(current.word) && name !== current.word).slice(0, 8)
+        : [];
+
+    list.innerHTML = '';
+    names.forEach((name, i) => {
+        const item = document.createElement('li');
+        item.id = `tableSearchSuggestion${i}`;
+        item.setAttribute('role', 'option');
+        item.dataset.name = name;
+        item.textContent = name;
+        list.appendChild(item);
+    });
+    list.hidden = names.length === 0;
+    setActiveQuerySuggestion(names.length > 0 ? 0 : -1);
+}
+
+/**
+ * Highlight one autocomplete suggestion
+ */
+function setActiveQuerySuggestion(index) {
+    const input = document.getElementById('tableSearch');
+    const items = Array.from(document.querySelectorAll('#tableSearchSuggestions li'));
+    items.forEach((item, i) => item.setAttribute('aria-selected', i === index ? 'true' : 'false'));
+    if (input) {
+        if (index >= 0 && items[index]) {
+            input.setAttribute('aria-activedescendant', items[index].id);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+}
+
+/**
+ * Replace the word at the caret with a field name
+ */
+function acceptQuerySuggestion(name) {
+    const input = document.getElementById('tableSearch');
+    const list = document.getElementById('tableSearchSuggestions');
+    const current = input ? getQueryWordAtCaret(input) : null;
+    if (!current) return;
+
+    input.value = input.value.slice(0, current.start) + name + input.value.slice(current.end);
+    const caret = current.start + name.length;
+    input.setSelectionRange(caret, caret);
+    input.focus();
+    if (list) list.hidden = true;
+
+    // Run the normal search handlers for the new value
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Keyboard navigation for the autocomplete suggestions
+ */
+function handleQueryKeydown(event) {
+    const list = document.getElementById('tableSearchSuggestions');
+    if (!list || list.hidden) return;
+
+    const items = Array.from(list.querySelectorAll('li'));
+    const active = items.findIndex(item => item.getAttribute('aria-selected') === 'true');
+
+    switch (event.key) {
+        case 'ArrowDown':
+            event.preventDefault();
+            setActiveQuerySuggestion((active + 1) % items.length);
+            break;
+        case 'ArrowUp':
+            event.preventDefault();
+            setActiveQuerySuggestion((active - 1 + items.length) % items.length);
+            break;
+        case 'Enter':
+        case 'Tab':
+            if (active >= 0) {
+                event.preventDefault();
+                acceptQuerySuggestion(items[active].dataset.name);
+            }
+            break;
+        case 'Escape':
+            list.hidden = true;
+            break;
+        default:
+            break;
+    }
 }
 
 /**
@@ -406,58 +978,553 @@ function handleRecoilImpactChange(event) {
     const valueLabel = document.getElementById('recoilImpactValue');
     if (valueLabel) valueLabel.textContent = String(currentFilters.recoilImpact);
     updateVisualization();
-    populateWeaponTable(applyFilters(currentFilters));
 }
 
 /**
  * Ensure recoil impact slider visibility matches selected method
+ * (the TTK distribution view always simulates Recoil Adjusted TTK)
  */
 function updateRecoilImpactVisibility() {
     const group = document.getElementById('recoilImpactGroup');
-    const shouldShow = currentFilters.method === 'recoil';
+    const shouldShow = currentFilters.method === 'recoil' || currentFilters.chartType === 'histogram';
     document.body.classList.toggle('show-recoil', shouldShow);
     if (group) group.hidden = !shouldShow;
 }
 
 /**
- * Handle fire mode change (Hip Fire vs ADS)
+ * Handle hit model change (Body Only vs Hit Distribution)
  */
-function handleFireModeChange(event) {
-    currentFilters.method = event.target.value; // 'hip' | 'ads' | 'recoil'
+function handleHitModelChange(event) {
+    currentFilters.hitModel = event.target.value; // 'body' | 'distribution'
+
+    updateHitDistributionVisibility();
+
+    updateVisualization();
+}
+
+/**
+ * Handle head/torso/limb share inputs
+ */
+function handleHitDistributionChange() {
+    const readShare = (id, fallback) => {
+        const input = document.getElementById(id);
+        const value = input ? parseFloat(input.value) : NaN;
+        return isNaN(value) || value < 0 ? fallback : value;
+    };
+
+    currentFilters.hitDistribution = {
+        head: readShare('hitHead', 0),
+        torso: readShare('hitTorso', 0),
+        limb: readShare('hitLimb', 0)
+    };
+
+    updateVisualization();
+}
+
+/**
+ * Handle hit distribution case change (optimal / typical / worst)
+ */
+function handleHitCaseChange(event) {
+    currentFilters.hitCase = event.target.value;
+    updateVisualization();
+}
+
+/**
+ * Ensure hit distribution inputs visibility matches selected hit model
+ */
+function updateHitDistributionVisibility() {
+    const group = document.getElementById('hitDistributionGroup');
+    const shouldShow = currentFilters.hitModel === 'distribution';
+    document.body.classList.toggle('show-hit-distribution', shouldShow);
+    if (group) group.hidden = !shouldShow;
+}
+
+/**
+ * Update hit model controls to match the current filters
+ */
+function syncHitModelControls() {
+    const hitModel = document.getElementById('hitModel');
+    if (hitModel) {
+        hitModel.value = currentFilters.hitModel;
+    }
+
+    const hitCase = document.getElementById('hitCase');
+    if (hitCase) {
+        hitCase.value = currentFilters.hitCase;
+    }
+
+    const shareInputs = { hitHead: 'head', hitTorso: 'torso', hitLimb: 'limb' };
+    Object.entries(shareInputs).forEach(([id, zone]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.value = String(currentFilters.hitDistribution[zone]);
+        }
+    });
+
+    updateHitDistributionVisibility();
+}
+
+/**
+ * Handle target profile change (health pool, damage reduction, overheal)
+ */
+function handleTargetProfileChange(event) {
+    currentFilters.target = event.target.value;
+    applyTargetProfile(currentFilters.target);
+    updateTargetProfileSummary();
+
+    updateVisualization();
+}
+
+/**
+ * Describe the selected target profile below the selector
+ */
+function updateTargetProfileSummary() {
+    const summary = document.getElementById('targetProfileSummary');
+    if (!summary) return;
+
+    const profile = getTargetProfile(currentFilters.target);
+    const parts = [`${profile.health} HP`];
+    if (profile.overheal > 0) {
+        parts[0] += ` + ${profile.overheal} overheal`;
+    }
+
+    const reductions = [];
+    if (profile.percentReduction > 0) reductions.push(`-${profile.percentReduction}%`);
+    if (profile.flatReduction > 0) reductions.push(`-${profile.flatReduction} per hit`);
+    parts.push(reductions.length > 0 ? `damage ${reductions.join(', then ')}` : 'no damage reduction');
+
+    summary.textContent = `${parts.join(', ')}.`;
+}
+
+/**
+ * Update the target profile selector and active profile to match the current filters
+ */
+function syncTargetProfileControls() {
+    const targetProfile = document.getElementById('targetProfile');
+    if (targetProfile) {
+        targetProfile.value = currentFilters.target;
+    }
+
+    applyTargetProfile(currentFilters.target);
+    updateTargetProfileSummary();
+}
+
+/**
+ * Check whether a field can be used in an advanced filter rule
+ */
+function isFilterField(fieldId) {
+    const field = getWeaponField(fieldId);
+    return !!field && !!field.numeric;
+}
+
+/**
+ * Build the <option> list of numeric fields for a rule, grouped like WEAPON_FIELDS
+ */
+function getFilterFieldOptions() {
+    const fields = WEAPON_FIELDS.filter(field => field.numeric);
+    const groups = [...new Set(fields.map(field => field.group))];
+
+    return groups.map(group => `
+        <optgroup label="${group}">
+            ${fields.filter(field => field.group === group)
+                .map(field => `<option value="${field.id}">${field.id.startsWith('damage@') ? `Damage (${field.label})` : field.label}</option>`)
+                .join('')}
+        </optgroup>`).join('');
+}
+
+/**
+ * Set up the advanced filter builder
+ */
+function initFilterBuilder() {
+    const builder = document.getElementById('filterBuilder');
+    if (!builder) return;
+
+    builder.addEventListener('click', handleFilterBuilderClick);
+    builder.addEventListener('change', handleFilterBuilderChange);
+    builder.addEventListener('input', debounce(handleFilterBuilderInput, 300));
+
+    renderFilterBuilder();
+}
+
+/**
+ * Render the rule groups from currentFilters.rules
+ */
+function renderFilterBuilder() {
+    const container = document.getElementById('filterGroups');
+    if (!container) return;
+
+    const match = document.getElementById('filterMatch');
+    if (match) {
+        match.value = currentFilters.rules.match;
+    }
+
+    const fieldOptions = getFilterFieldOptions();
+    container.innerHTML = '';
+
+    currentFilters.rules.groups.forEach((group, groupIndex) => {
+        const card = document.createElement('div');
+        card.className = 'filter-group';
+        card.dataset.group = groupIndex;
+        card.innerHTML = `
+            <div class="filter-group-header">
+                <select data-role="group-match" aria-label="Group ${groupIndex + 1} match">
+                    <option value="all">All rules (AND)</option>
+                    <option value="any">Any rule (OR)</option>
+                </select>
+                <button type="button" class="btn-secondary" data-action="add-rule">+ Rule</button>
+                <button type="button" class="btn-secondary" data-action="remove-group">Remove Group</button>
+            </div>
+        `;
+        card.querySelector('[data-role="group-match"]').value = group.match;
+
+        group.rules.forEach((rule, ruleIndex) => {
+            const row = document.createElement('div');
+            row.className = 'filter-rule';
+            row.dataset.rule = ruleIndex;
+            row.innerHTML = `
+                <select data-role="rule-field" aria-label="Rule field">${fieldOptions}</select>
+                <input type="number" data-role="rule-min" placeholder="Min" aria-label="Minimum" step="any">
+                <input type="number" data-role="rule-max" placeholder="Max" aria-label="Maximum" step="any">
+                <button type="button" class="btn-secondary" data-action="remove-rule" aria-label="Remove rule">✕</button>
+            `;
+            row.querySelector('[data-role="rule-field"]').value = rule.field;
+            row.querySelector('[data-role="rule-min"]').value = rule.min != null ? rule.min : '';
+            row.querySelector('[data-role="rule-max"]').value = rule.max != null ? rule.max : '';
+            card.appendChild(row);
+        });
+
+        container.appendChild(card);
+    });
+}
+
+/**
+ * Find the rule group and rule an element of the filter builder belongs to
+ */
+function getFilterBuilderTarget(element) {
+    const card = element.closest('[data-group]');
+    const row = element.closest('[data-rule]');
+    const group = card ? currentFilters.rules.groups[Number(card.dataset.group)] : null;
+    return {
+        group,
+        groupIndex: card ? Number(card.dataset.group) : -1,
+        rule: group && row ? group.rules[Number(row.dataset.rule)] : null,
+        ruleIndex: row ? Number(row.dataset.rule) : -1
+    };
+}
+
+/**
+ * Handle add/remove buttons in the filter builder
+ */
+function handleFilterBuilderClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const rules = currentFilters.rules;
+    const { group, groupIndex, ruleIndex } = getFilterBuilderTarget(button);
+    const newRule = () => ({ field: 'rpm', min: null, max: null });
+
+    switch (button.dataset.action) {
+        case 'add-group':
+            rules.groups.push({ match: 'all', rules: [newRule()] });
+            break;
+        case 'remove-group':
+            rules.groups.splice(groupIndex, 1);
+            break;
+        case 'add-rule':
+            group.rules.push(newRule());
+            break;
+        case 'remove-rule':
+            group.rules.splice(ruleIndex, 1);
+            if (group.rules.length === 0) {
+                rules.groups.splice(groupIndex, 1);
+            }
+            break;
+        case 'clear':
+            currentFilters.rules = { match: rules.match, groups: [] };
+            break;
+        default:
+            return;
+    }
+
+    renderFilterBuilder();
+    updateVisualization();
+}
+
+/**
+ * Handle match mode and rule field selects in the filter builder
+ */
+function handleFilterBuilderChange(event) {
+    const select = event.target;
+    if (select.tagName !== 'SELECT') return;
+
+    const { group, rule } = getFilterBuilderTarget(select);
+    if (select.id === 'filterMatch') {
+        currentFilters.rules.match = select.value;
+    } else if (select.dataset.role === 'group-match' && group) {
+        group.match = select.value;
+    } else if (select.dataset.role === 'rule-field' && rule) {
+        rule.field = select.value;
+    } else {
+        return;
+    }
+
+    updateVisualization();
+}
+
+/**
+ * Handle min/max inputs in the filter builder
+ */
+function handleFilterBuilderInput(event) {
+    const input = event.target;
+    const role = input.dataset.role;
+    if (role !== 'rule-min' && role !== 'rule-max') return;
+
+    const { rule } = getFilterBuilderTarget(input);
+    if (!rule) return;
+
+    const value = parseFloat(input.value);
+    rule[role === 'rule-min' ? 'min' : 'max'] = isNaN(value) ? null : value;
+    updateVisualization();
+}
+
+/**
+ * Show how many weapons pass the filters
+ */
+function updateFilterBuilderSummary(weapons) {
+    const summary = document.getElementById('filterBuilderSummary');
+    if (!summary) return;
+
+    const total = getAllWeapons().length;
+    summary.textContent = currentFilters.rules.groups.length > 0
+        ? `${weapons.length} of ${total} weapons match the type, search and rule filters. TTK and STK rules use the selected method, hit model and target.`
+        : 'Add a group to filter by RPM, DPS, ADS, Precision, Control, damage, TTK or STK.';
+}
+
+/**
+ * Handle fire mode change (Hip Fire vs ADS)
+ */
+function handleFireModeChange(event) {
+    currentFilters.method = event.target.value; // 'hip' | 'ads' | 'recoil'
 
     updateRecoilImpactVisibility();
 
     updateVisualization();
-    populateWeaponTable(applyFilters(currentFilters));
 }
 
 /**
- * Handle CSV export
+ * Build the export dialog column checkboxes and listeners
  */
-function handleExportCSV() {
-    const weapons = getFilteredData();
-    if (weapons.length === 0) {
-        alert('No data to export.');
+function initExportDialog() {
+    const dialog = document.getElementById('exportDialog');
+    const columns = document.getElementById('exportColumnsGroup');
+    if (!dialog || !columns) return;
+
+    appendWeaponFieldCheckboxes(columns);
+    columns.addEventListener('change', updateExportPreview);
+
+    dialog.querySelectorAll('input[name="exportFormat"]').forEach(radio => {
+        radio.addEventListener('change', updateExportPreview);
+    });
+    ['exportChart', 'exportImageFormat'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', updateExportPreview);
+    });
+
+    const download = document.getElementById('exportDownload');
+    if (download) download.addEventListener('click', handleExportDownload);
+
+    const copy = document.getElementById('exportCopy');
+    if (copy) copy.addEventListener('click', handleExportCopy);
+}
+
+/**
+ * Open the export dialog with the table's columns ticked and the drawn charts listed
+ */
+function openExportDialog() {
+    const dialog = document.getElementById('exportDialog');
+    if (!dialog) return;
+
+    dialog.querySelectorAll('#exportColumnsGroup input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = currentFilters.columns.includes(checkbox.value);
+    });
+
+    const chartSelect = document.getElementById('exportChart');
+    if (chartSelect) {
+        const selected = chartSelect.value;
+        chartSelect.innerHTML = Object.entries(EXPORT_CHARTS)
+            .filter(([id]) => {
+                const container = document.getElementById(id);
+                return container && container.classList.contains('js-plotly-plot') && !container.closest('[hidden]');
+            })
+            .map(([id, label]) => `<option value="${id}">${label}</option>`)
+            .join('');
+        if (chartSelect.querySelector(`option[value="${selected}"]`)) {
+            chartSelect.value = selected;
+        }
+    }
+
+    updateExportPreview();
+    dialog.showModal();
+}
+
+/**
+ * Get the format picked in the export dialog
+ * @returns {string} 'csv' | 'json' | 'markdown' | 'chart'
+ */
+function getExportFormat() {
+    const radio = document.querySelector('input[name="exportFormat"]:checked');
+    return radio ? radio.value : 'csv';
+}
+
+/**
+ * Get the columns ticked in the export dialog, in table column order
+ * @returns {Array<string>} WEAPON_FIELDS ids
+ */
+function getExportColumns() {
+    const checked = Array.from(document.querySelectorAll('#exportColumnsGroup input[type="checkbox"]:checked'))
+        .map(checkbox => checkbox.value);
+    return [
+        ...currentFilters.columns.filter(id => checked.includes(id)),
+        ...checked.filter(id => !currentFilters.columns.includes(id))
+    ];
+}
+
+/**
+ * Describe what an export contains (weapon count, TTK method, patch)
+ * @param {number} count - Number of exported weapons
+ * @returns {string} Context line
+ */
+function getExportContext(count) {
+    const patch = getCurrentPatch();
+    const source = getCustomImport() ? `${patch.name} + ${getCustomImport().name}` : patch.name;
+    return `${count} weapon${count === 1 ? '' : 's'} · ${getTTKMethodLabel()} · ${source} patch data`;
+}
+
+/**
+ * Build the export file for the filtered, sorted weapon table
+ * @param {string} format - 'csv' | 'json' | 'markdown'
+ * @returns {Object} { content, count }
+ */
+function getExportContent(format) {
+    const options = getTTKOptions();
+    const weapons = sortWeaponsByFields(getFilteredData(), currentFilters.sort, options);
+    const columns = getExportColumns();
+    const rows = getWeaponExportRows(weapons, columns, options);
+    const labels = columns.map(id => getWeaponField(id).label);
+
+    let content;
+    if (format === 'json') {
+        const hash = serializeUrlState(currentFilters);
+        content = JSON.stringify({
+            exported: new Date().toISOString(),
+            patch: getCurrentPatch().name,
+            method: getTTKMethodLabel(options),
+            target: getTargetProfile(currentFilters.target).label,
+            link: `${window.location.origin}${window.location.pathname}${hash ? `#${hash}` : ''}`,
+            weapons: rows
+        }, null, 2);
+    } else if (format === 'markdown') {
+        content = rows.length > 0 ? `${getExportContext(rows.length)}\n\n${exportToMarkdown(rows, labels)}\n` : '';
+    } else {
+        content = exportToCSV(rows, labels);
+    }
+
+    return { content, count: rows.length };
+}
+
+/**
+ * Show/hide the export options for the picked format and preview the first lines
+ */
+function updateExportPreview() {
+    const format = getExportFormat();
+    const isChart = format === 'chart';
+    const columns = document.getElementById('exportColumnsGroup');
+    const chartGroup = document.getElementById('exportChartGroup');
+    const copy = document.getElementById('exportCopy');
+    const download = document.getElementById('exportDownload');
+    const preview = document.getElementById('exportPreview');
+    const context = document.getElementById('exportContext');
+
+    if (columns) columns.hidden = isChart;
+    if (chartGroup) chartGroup.hidden = !isChart;
+    if (copy) copy.disabled = isChart;
+
+    const count = getFilteredData().length;
+    if (context) context.textContent = getExportContext(count);
+
+    if (isChart) {
+        const chart = document.getElementById('exportChart').value;
+        const imageFormat = document.getElementById('exportImageFormat').value.toUpperCase();
+        if (download) download.disabled = !chart;
+        if (preview) {
+            preview.textContent = chart
+                ? `${EXPORT_CHARTS[chart]} as ${imageFormat} (1200×800)`
+                : 'No charts are shown. Draw a chart first.';
+        }
         return;
     }
 
-    const csv = exportToCSV(weapons);
+    const { content } = getExportContent(format);
+    if (download) download.disabled = content === '';
+    if (preview) {
+        const lines = content.split('\n');
+        preview.textContent = content === ''
+            ? 'No weapons match the current filters.'
+            : lines.slice(0, 8).join('\n') + (lines.length > 8 ? `\n… ${lines.length - 8} more lines` : '');
+    }
+}
+
+/**
+ * Download the export in the picked format
+ */
+function handleExportDownload() {
+    const format = getExportFormat();
     const timestamp = new Date().toISOString().split('T')[0];
-    downloadCSV(csv, `battlefield6_ttk_${timestamp}.csv`);
+
+    if (format === 'chart') {
+        const chart = document.getElementById('exportChart').value;
+        if (!chart) return;
+        exportChartAsImage(chart, `battlefield6_${chart}_${timestamp}`, document.getElementById('exportImageFormat').value)
+            .catch(error => alert(`Could not export the chart: ${error.message}`));
+        return;
+    }
+
+    const { content } = getExportContent(format);
+    if (content === '') {
+        alert('No data to export.');
+        return;
+    }
+
+    const { extension, type } = EXPORT_FORMATS[format];
+    downloadFile(content, `battlefield6_ttk_${timestamp}.${extension}`, type);
+}
+
+/**
+ * Copy the export to the clipboard (for pasting into posts)
+ */
+async function handleExportCopy() {
+    const { content } = getExportContent(getExportFormat());
+    const preview = document.getElementById('exportPreview');
+    try {
+        await navigator.clipboard.writeText(content);
+        if (preview) preview.textContent = `Copied ${content.split('\n').length} lines to the clipboard.`;
+    } catch (error) {
+        alert(`Could not copy to the clipboard: ${error.message}`);
+    }
 }
 
 /**
  * Update visualization based on current filters
  */
 function updateVisualization() {
-    const weapons = applyFilters(currentFilters);
+    const weapons = getFilteredData();
 
     // Show more weapons for damage chart, limit others
     let displayWeapons = weapons.filter(isWeaponDataComplete);
     
     if (currentFilters.types.includes('ALL')) {
-        // For damage chart, show all complete weapons; for others, limit to avoid clutter
-        if (currentFilters.chartType === 'damage') {
+        // For damage chart and type averages, show all complete weapons; for others, limit to avoid clutter
+        if (currentFilters.chartType === 'damage' || currentFilters.chartType === 'type-comparison') {
             displayWeapons = displayWeapons; // Show all complete weapons
         } else {
             displayWeapons = displayWeapons.slice(0, 20); // Limit other charts
@@ -466,16 +1533,20 @@ function updateVisualization() {
 
     const options = {
         containerId: 'mainChart',
-        range: currentFilters.range === 'all' ? '10M' : currentFilters.range
+        range: currentFilters.range,
+        weapon: getWeaponByName(currentFilters.histogramWeapon) || getAllWeapons()[0],
+        metric: currentFilters.typeMetric
     };
 
     updateChart(currentFilters.chartType, displayWeapons, options);
 
     // Update secondary charts
-    if (currentFilters.range !== 'all') {
-        createTTKChart(weapons, currentFilters.range, 'ttkChart');
+    createTTKChart(weapons, currentFilters.range, 'ttkChart');
+    const completeWeapons = weapons.filter(isWeaponDataComplete);
+    if (completeWeapons.length > 0) {
+        createRPMvsDPSChart(completeWeapons, 'dpsChart', currentFilters.range);
     } else {
-        createTTKChart(weapons, '10M', 'ttkChart');
+        clearChart('dpsChart');
     }
 
     // Update table
@@ -483,6 +1554,23 @@ function updateVisualization() {
 
     // Update stats
     updateStatsSummary(weapons);
+    updateFilterBuilderSummary(weapons);
+
+    // Comparisons, loadout TTK, duels, tiers, engagement profiles, breakpoints, patch diffs, trends and
+    // the weapon detail view depend on the selected method, hit model and target; alternatives follow stat edits
+    updateWeaponComparison();
+    updateLoadoutComparison();
+    updateDuelSimulator();
+    updateTierList();
+    updateEngagementProfiles();
+    updateBreakpoints();
+    updateAlternatives();
+    updatePatchDiff();
+    updateWeaponTrends();
+    renderWeaponDetail();
+
+    // Keep the shareable URL in sync
+    scheduleUrlStateUpdate();
 }
 
 /**
@@ -513,56 +1601,1922 @@ function updateStatsSummary(weapons) {
 }
 
 /**
- * Populate weapon statistics table
+ * Render the Data Health panel from the ttk.csv validation report
  */
-function populateWeaponTable(weapons) {
-    const tbody = document.getElementById('weaponTableBody');
-    if (!tbody) return;
+function renderDataHealth() {
+    const summary = document.getElementById('dataHealthSummary');
+    const checkList = document.getElementById('dataHealthChecks');
+    const issuesWrapper = document.getElementById('dataHealthIssues');
+    const tbody = document.getElementById('dataHealthTableBody');
+    const report = getDataHealthReport();
+    if (!summary || !report) return;
+
+    const { errors, warnings, checks } = report.summary;
+    summary.innerHTML = `
+        <span class="status-badge ${errors > 0 ? 'error' : 'complete'}">${errors} error${errors === 1 ? '' : 's'}</span>
+        <span class="status-badge ${warnings > 0 ? 'incomplete' : 'complete'}">${warnings} warning${warnings === 1 ? '' : 's'}</span>
+        <span>${report.rows} rows checked in ${escapeHTML(getCurrentPatch().file)}${getCustomImport() ? ` + ${escapeHTML(getCustomImport().name)}` : ''}${errors + warnings === 0 ? ', no issues found' : ''}</span>
+    `;
+
+    if (checkList) {
+        checkList.innerHTML = '';
+        Object.entries(VALIDATION_CHECKS).forEach(([check, info]) => {
+            const item = document.createElement('li');
+            const count = checks[check];
+            item.className = count === 0 ? 'passed' : (info.severity === 'error' ? 'failed' : 'warned');
+            item.textContent = count === 0 ? info.label : `${info.label} (${count})`;
+            checkList.appendChild(item);
+        });
+    }
 
-    tbody.innerHTML = '';
+    if (tbody && issuesWrapper) {
+        tbody.innerHTML = '';
+        report.issues.forEach(issue => {
+            const row = document.createElement('tr');
+            [
+                issue.severity === 'error' ? 'Error' : 'Warning',
+                issue.row != null ? issue.row : '—',
+                issue.weapon || '—',
+                issue.field || '—',
+                issue.message
+            ].forEach((value, i) => {
+                const cell = document.createElement('td');
+                if (i === 0) {
+                    const badge = document.createElement('span');
+                    badge.className = `status-badge ${issue.severity === 'error' ? 'error' : 'incomplete'}`;
+                    badge.textContent = value;
+                    cell.appendChild(badge);
+                } else {
+                    cell.textContent = value;
+                }
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        issuesWrapper.hidden = report.issues.length === 0;
+    }
+}
 
-    weapons.forEach(weapon => {
-        const row = document.createElement('tr');
+/**
+ * Format a patch for selectors, e.g. 'Season 1 (2025-10-10)'
+ */
+function formatPatchLabel(patch) {
+    return patch.date ? `${patch.name} (${patch.date})` : patch.name;
+}
 
-        // Add class for incomplete data
-        if (!weapon.isComplete) {
-            row.classList.add('incomplete-data');
-        }
+/**
+ * Fill the header patch selector and the patch history pickers
+ */
+function initPatchControls() {
+    const patches = getPatches();
+    const fill = (id, selectedId) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = '';
+        // Newest first
+        [...patches].reverse().forEach(patch => {
+            const option = document.createElement('option');
+            option.value = patch.id;
+            option.textContent = formatPatchLabel(patch);
+            if (patch.notes) option.title = patch.notes;
+            select.appendChild(option);
+        });
+        select.value = selectedId;
+        select.disabled = patches.length < 2;
+    };
+
+    // Compare the two newest patches by default
+    fill('patchSelect', getCurrentPatch().id);
+    fill('patchFrom', patches[Math.max(0, patches.length - 2)].id);
+    fill('patchTo', patches[patches.length - 1].id);
+}
+
+/**
+ * Handle a change of the header patch selector
+ */
+async function handlePatchChange(event) {
+    currentFilters.patch = event.target.value;
+    try {
+        await switchPatch(currentFilters.patch);
+    } catch (error) {
+        showError(`Failed to load patch "${currentFilters.patch}".`);
+        return;
+    }
+    syncFilterControls();
+    initializeCharts(getAllWeapons());
+}
+
+/**
+ * Make another patch the active dataset and refresh the weapon pickers and data health
+ * Callers re-render charts, table and stats afterwards.
+ * @param {string} patchId - Patch id; empty for the latest patch
+ */
+async function switchPatch(patchId) {
+    const weapons = await loadWeaponData(patchId);
+    refreshWeaponPickers(weapons);
+    renderDataHealth();
+}
 
-        // Calculate TTK based on selected method
-        const method = (currentFilters && currentFilters.method) || 'hip';
-        let ttk10M;
-        if (weapon['10M'] && weapon.RPM) {
-            if (method === 'recoil') {
-                ttk10M = `${calculateRecoilAdjustedTTK(weapon['10M'], weapon.RPM, weapon.Precision, weapon.Control, '10M', weapon['Weapon Type'], currentFilters.recoilImpact)}ms`;
-            } else {
-                const adsTime = method === 'ads' ? weapon.ADS : 0;
-                ttk10M = `${calculateTTK(weapon['10M'], weapon.RPM, adsTime)}ms`;
+/**
+ * Refill every weapon picker after the weapon list changed, keeping selections that still exist
+ */
+function refreshWeaponPickers(weapons) {
+    ['histogramWeapon', 'loadoutWeapon', 'compareWeapon1', 'compareWeapon2', 'compareWeapon3', 'compareWeapon4', 'duelWeaponA', 'duelWeaponB', 'trendWeapons', 'crossoverWeapon', 'alternativeWeapon']
+        .forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const previous = Array.from(select.selectedOptions).map(option => option.value);
+            populateWeaponSelect(select, weapons);
+            if (id === 'compareWeapon3' || id === 'compareWeapon4' || id === 'crossoverWeapon') {
+                const none = document.createElement('option');
+                none.value = '';
+                none.textContent = id === 'crossoverWeapon' ? 'All pairs' : '— None —';
+                select.insertBefore(none, select.firstChild);
             }
-        } else {
-            ttk10M = 'N/A';
+            Array.from(select.options).forEach(option => {
+                if (previous.includes(option.value)) option.selected = true;
+            });
+        });
+
+    // Drop picks that are not in this patch
+    if (!getWeaponByName(currentFilters.histogramWeapon)) {
+        currentFilters.histogramWeapon = '';
+    }
+    const compare = currentFilters.compare.filter(name => getWeaponByName(name));
+    currentFilters.compare = compare.length >= 2 ? compare : [];
+
+    if (attachmentsData.length > 0) {
+        renderLoadoutSlots();
+    }
+}
+
+/**
+ * Diff the patches picked in the patch history section and render the result
+ */
+async function updatePatchDiff() {
+    const summary = document.getElementById('patchDiffSummary');
+    const results = document.getElementById('patchDiffResults');
+    const fromSelect = document.getElementById('patchFrom');
+    const toSelect = document.getElementById('patchTo');
+    if (!summary || !results || !fromSelect || !toSelect) return;
+
+    // updateVisualization calls this on every filter or range change; only redo it when an input changed
+    const key = JSON.stringify([fromSelect.value, toSelect.value, currentFilters.range, getTTKOptions()]);
+    if (key === patchDiffKey) return;
+    patchDiffKey = key;
+
+    const request = ++patchDiffRequest;
+    const fromPatch = getPatch(fromSelect.value);
+    const toPatch = getPatch(toSelect.value);
+
+    if (getPatches().length < 2) {
+        summary.textContent = 'Only one patch is listed in data/patches/manifest.json. Add older datasets there to see what changed between game updates.';
+        results.hidden = true;
+        return;
+    }
+    if (!fromPatch || !toPatch || fromPatch.id === toPatch.id) {
+        summary.textContent = 'Pick two different patches to compare.';
+        results.hidden = true;
+        return;
+    }
+
+    let diff;
+    try {
+        const [fromWeapons, toWeapons] = await Promise.all([loadPatchWeapons(fromPatch.id), loadPatchWeapons(toPatch.id)]);
+        diff = diffPatches(fromWeapons, toWeapons, getTTKOptions({ range: currentFilters.range }));
+    } catch (error) {
+        console.error('Error comparing patches:', error);
+        if (request === patchDiffRequest) {
+            patchDiffKey = '';
+            summary.textContent = `Could not load ${fromPatch.name} and ${toPatch.name}.`;
+            results.hidden = true;
         }
-        const status = weapon.isComplete
-            ? '<span class="status-badge complete">Complete</span>'
-            : '<span class="status-badge incomplete">Incomplete</span>';
-
-        row.innerHTML = `
-            <td>${weapon['Weapon Type']}</td>
-            <td><strong>${weapon.Weapon}</strong></td>
-            <td>${formatNumber(weapon['10M'])}</td>
-            <td>${formatNumber(weapon['20M'])}</td>
-            <td>${formatNumber(weapon['35M'])}</td>
-            <td>${formatNumber(weapon['50M'])}</td>
-            <td>${formatNumber(weapon['70M'])}</td>
-            <td>${formatNumber(weapon.RPM)}</td>
-            <td>${formatNumber(weapon.DPS)}</td>
-            <td>${formatNumber(weapon.ADS)}</td>
-            <td>${ttk10M}</td>
-            <td>${status}</td>
-        `;
+        return;
+    }
 
-        tbody.appendChild(row);
-    });
+    // A newer diff was started while this one loaded
+    if (request !== patchDiffRequest) return;
+
+    renderPatchDiff(diff, fromPatch, toPatch);
+}
+
+/**
+ * Render a diffPatches result as a summary, a per-weapon table and a TTK delta chart
+ */
+function renderPatchDiff(diff, fromPatch, toPatch) {
+    const summary = document.getElementById('patchDiffSummary');
+    const results = document.getElementById('patchDiffResults');
+    const head = document.getElementById('patchDiffTableHead');
+    const tbody = document.getElementById('patchDiffTableBody');
+
+    const counts = diff.summary;
+    summary.innerHTML = `
+        <strong>${escapeHTML(formatPatchLabel(fromPatch))} → ${escapeHTML(formatPatchLabel(toPatch))}:</strong>
+        <span class="status-badge complete">${counts.buffed} buffed</span>
+        <span class="status-badge error">${counts.nerfed} nerfed</span>
+        <span class="status-badge incomplete">${counts.mixed} mixed</span>
+        <span>${counts.added} added, ${counts.removed} removed, ${counts.unchanged} unchanged</span>
+        ${toPatch.notes ? `<p>${escapeHTML(toPatch.notes)}</p>` : ''}
+    `;
+
+    const changed = diff.weapons.filter(entry => entry.status !== 'unchanged');
+    results.hidden = changed.length === 0;
+    if (changed.length === 0) return;
+
+    const statusLabels = {
+        buffed: ['Buffed', 'complete'],
+        nerfed: ['Nerfed', 'error'],
+        mixed: ['Mixed', 'incomplete'],
+        added: ['Added', 'complete'],
+        removed: ['Removed', 'error']
+    };
+
+    // Lower TTK is better; rank change is positive when a weapon moved up
+    const deltaSpan = (delta, text) => {
+        const className = delta < 0 ? 'better' : (delta > 0 ? 'worse' : '');
+        return `<span class="comparison-delta ${className}">${text}</span>`;
+    };
+
+    head.innerHTML = `<tr><th>Weapon</th><th>Type</th><th>Change</th><th>Stats</th>${RANGES.map(range =>
+        `<th>TTK (${range})</th>`).join('')}<th>Rank (${formatRangeLabel(diff.range)})</th></tr>`;
+
+    tbody.innerHTML = changed.map(entry => {
+        const [label, badge] = statusLabels[entry.status];
+        const stats = entry.changes.map(change => {
+            const sign = change.delta > 0 ? '+' : '';
+            return `<span class="comparison-delta ${change.effect === 'buff' ? 'better' : 'worse'}">${change.label}: ${formatNumber(change.from)} → ${formatNumber(change.to)} (${sign}${formatNumber(change.delta)})</span>`;
+        }).join('') || '—';
+
+        const ttkCells = RANGES.map(range => {
+            const ttk = entry.ttk[range];
+            const value = ttk.to !== null ? ttk.to : ttk.from;
+            if (value === null) return '<td>N/A</td>';
+            const delta = ttk.delta ? deltaSpan(ttk.delta, `${ttk.delta > 0 ? '+' : ''}${formatNumber(ttk.delta)}ms`) : '';
+            return `<td>${formatNumber(value)}ms${delta}</td>`;
+        }).join('');
+
+        const rank = entry.rank;
+        let rankCell = '—';
+        if (rank.from !== null && rank.to !== null) {
+            const movement = rank.change > 0 ? `▲${rank.change}` : (rank.change < 0 ? `▼${-rank.change}` : '=');
+            rankCell = `#${rank.from} → #${rank.to}${deltaSpan(-rank.change, movement)}`;
+        } else if (rank.to !== null || rank.from !== null) {
+            rankCell = `#${rank.to !== null ? rank.to : rank.from}`;
+        }
+
+        return `<tr>
+            <td><strong>${escapeHTML(entry.weapon)}</strong></td>
+            <td>${escapeHTML(entry.type)}</td>
+            <td><span class="status-badge ${badge}">${label}</span></td>
+            <td>${stats}</td>
+            ${ttkCells}
+            <td>${rankCell}</td>
+        </tr>`;
+    }).join('');
+
+    createPatchDeltaChart(diff, 'patchDeltaChart', `${fromPatch.name} → ${toPatch.name}: TTK Change`);
+}
+
+/**
+ * Wire up the weapon file picker, drop zone and remove button
+ */
+function initDataImport() {
+    const input = document.getElementById('importFile');
+    const dropzone = document.getElementById('importDropzone');
+    const clearBtn = document.getElementById('clearImport');
+    if (!input || !dropzone) return;
+
+    input.addEventListener('change', () => {
+        handleImportFile(input.files[0]);
+        input.value = ''; // Allow importing the same file again
+    });
+
+    dropzone.addEventListener('dragover', event => {
+        event.preventDefault();
+        dropzone.classList.add('drag-over');
+    });
+    dropzone.addEventListener('dragleave', () => dropzone.classList.remove('drag-over'));
+    dropzone.addEventListener('drop', event => {
+        event.preventDefault();
+        dropzone.classList.remove('drag-over');
+        handleImportFile(event.dataTransfer.files[0]);
+    });
+
+    if (clearBtn) {
+        clearBtn.addEventListener('click', handleClearImport);
+    }
+
+    renderImportStatus();
+}
+
+/**
+ * Validate an imported CSV/JSON weapon file and apply it when it has no errors
+ * @param {File} file - File from the picker or a drop
+ */
+async function handleImportFile(file) {
+    if (!file) return;
+
+    const parsed = parseWeaponFile(file.name, await file.text());
+    const report = validateWeaponRows(parsed.rows, { columns: parsed.columns, parseErrors: parsed.parseErrors });
+    if (report.summary.errors > 0 || parsed.rows.length === 0) {
+        renderImportStatus({ name: file.name, report });
+        return;
+    }
+
+    const mode = document.getElementById('importMode').value === 'replace' ? 'replace' : 'merge';
+    const record = { name: file.name, mode, rows: parsed.rows, columns: parsed.columns, importedAt: new Date().toISOString() };
+    setCustomImport(record);
+
+    // Still usable for this visit when the browser blocks IndexedDB
+    let saved = true;
+    try {
+        await writeStoredValue('imports', 'custom', record);
+    } catch (error) {
+        console.warn('Could not save imported data:', error);
+        saved = false;
+    }
+
+    await reloadWeaponData();
+    renderImportStatus({ name: file.name, report, saved });
+}
+
+/**
+ * Remove the imported weapon file and go back to the patch data
+ */
+async function handleClearImport() {
+    setCustomImport(null);
+    try {
+        await deleteStoredValue('imports', 'custom');
+    } catch (error) {
+        console.warn('Could not remove saved imported data:', error);
+    }
+    await reloadWeaponData();
+    renderImportStatus();
+}
+
+/**
+ * Reload the active patch (with any imported weapons) and redraw everything
+ */
+async function reloadWeaponData() {
+    await switchPatch(getCurrentPatch().id);
+    syncFilterControls();
+    initializeCharts(getAllWeapons());
+}
+
+/**
+ * Describe the active import, or why the last file was rejected
+ * @param {Object} result - { name, report, saved } for the file just imported (optional)
+ */
+function renderImportStatus(result = null) {
+    const status = document.getElementById('importStatus');
+    const clearBtn = document.getElementById('clearImport');
+    const record = getCustomImport();
+    if (clearBtn) clearBtn.hidden = !record;
+    if (!status) return;
+
+    if (result && result.report.summary.errors > 0) {
+        const errors = result.report.issues.filter(issue => issue.severity === 'error');
+        status.innerHTML = `
+            <p><span class="status-badge error">Rejected</span> ${escapeHTML(result.name)} was not imported: ${errors.length} error${errors.length === 1 ? '' : 's'}.</p>
+            <ul>${errors.slice(0, 5).map(issue =>
+                `<li>${issue.row != null ? `Row ${issue.row}: ` : ''}${escapeHTML(issue.message)}</li>`).join('')}</ul>
+        `;
+        return;
+    }
+    if (result && result.report.rows === 0) {
+        status.innerHTML = `<p><span class="status-badge error">Rejected</span> ${escapeHTML(result.name)} has no weapon rows.</p>`;
+        return;
+    }
+
+    if (!record) {
+        status.textContent = 'No imported data. The table shows the selected patch.';
+        return;
+    }
+
+    const count = getAllWeapons().filter(weapon => weapon.isCustom).length;
+    const warnings = result ? result.report.summary.warnings : 0;
+    status.innerHTML = `
+        <p><span class="status-badge custom">Custom</span>
+        ${count} weapon${count === 1 ? '' : 's'} from <strong>${escapeHTML(record.name)}</strong>
+        ${record.mode === 'replace' ? 'replacing' : 'merged into'} ${escapeHTML(getCurrentPatch().name)}
+        (imported ${new Date(record.importedAt).toLocaleString()})${warnings > 0 ? `, ${warnings} warning${warnings === 1 ? '' : 's'} (see Data Health)` : ''}.
+        ${result && result.saved === false ? 'Could not save it in this browser; it will be gone after a reload.' : ''}</p>
+    `;
+}
+
+/**
+ * Initialize the weapon trend pickers (the first three weapons are plotted by default)
+ */
+function initWeaponTrends(weapons) {
+    const select = document.getElementById('trendWeapons');
+    if (!select) return;
+
+    populateWeaponSelect(select, weapons);
+    weapons.slice(0, 3).forEach(weapon => {
+        const option = Array.from(select.options).find(o => o.value === weapon.Weapon);
+        if (option) option.selected = true;
+    });
+
+    ['trendWeapons', 'trendMetric', 'trendRange'].forEach(id => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.addEventListener('change', updateWeaponTrends);
+        }
+    });
+}
+
+/**
+ * Plot the picked weapons across all patches and list the meta leaders
+ */
+async function updateWeaponTrends() {
+    const select = document.getElementById('trendWeapons');
+    if (!select || !document.getElementById('trendChart')) return;
+
+    const names = Array.from(select.selectedOptions).map(option => option.value);
+    const metric = document.getElementById('trendMetric').value;
+    const range = document.getElementById('trendRange').value;
+
+    // updateVisualization calls this on every filter or range change; only redo it when an input changed
+    const key = JSON.stringify([names, metric, range, getTTKOptions()]);
+    if (key === weaponTrendKey) return;
+    weaponTrendKey = key;
+
+    const request = ++weaponTrendRequest;
+    let snapshots;
+    try {
+        snapshots = await loadPatchSnapshots();
+    } catch (error) {
+        console.error('Error loading patches for trends:', error);
+        weaponTrendKey = '';
+        return;
+    }
+
+    // A newer update was started while the patches loaded
+    if (request !== weaponTrendRequest) return;
+
+    createWeaponTrendChart(snapshots, names, metric, range, 'trendChart');
+    renderMetaLeaders(snapshots);
+}
+
+/**
+ * Fill the meta leader table: one row per patch, the lowest-TTK weapon at each range
+ * Leaders that differ from the previous patch are highlighted.
+ */
+function renderMetaLeaders(snapshots) {
+    const head = document.getElementById('metaLeaderTableHead');
+    const tbody = document.getElementById('metaLeaderTableBody');
+    if (!head || !tbody) return;
+
+    const options = getTTKOptions();
+    head.innerHTML = `<tr><th>Patch</th>${RANGES.map(range => `<th>${formatRangeLabel(range)}</th>`).join('')}</tr>`;
+
+    let previous = null;
+    tbody.innerHTML = snapshots.map(snapshot => {
+        const leaders = getMetaLeaders(snapshot.weapons, options);
+        const cells = RANGES.map(range => {
+            const leader = leaders[range];
+            if (!leader) return '<td>—</td>';
+            const changed = previous && previous[range] && previous[range].weapon !== leader.weapon;
+            return `<td class="${changed ? 'meta-leader-changed' : ''}">${escapeHTML(leader.weapon)}<span class="comparison-delta">${formatNumber(leader.ttk)}ms</span></td>`;
+        }).join('');
+        previous = leaders;
+        return `<tr><td><strong>${escapeHTML(formatPatchLabel(snapshot.patch))}</strong></td>${cells}</tr>`;
+    }).join('');
+}
+
+/**
+ * Build the tier list preset picker and weight sliders
+ */
+function initTierList() {
+    const preset = document.getElementById('tierPreset');
+    const weights = document.getElementById('tierWeights');
+    if (!preset || !weights) return;
+
+    preset.innerHTML = Object.entries(TIER_PRESETS)
+        .map(([id, info]) => `<option value="${id}">${info.label}</option>`)
+        .join('') + '<option value="custom">Custom</option>';
+    preset.value = 'mid';
+
+    weights.innerHTML = TIER_FACTORS.map(factor => `
+        <label>
+            ${getWeaponField(factor.field).label}
+            <input type="range" min="0" max="5" step="1" value="0" data-field="${factor.field}">
+            <output>0</output>
+        </label>
+    `).join('');
+    setTierWeights(TIER_PRESETS.mid.weights);
+
+    preset.addEventListener('change', () => {
+        if (TIER_PRESETS[preset.value]) {
+            setTierWeights(TIER_PRESETS[preset.value].weights);
+        }
+        updateTierList();
+    });
+
+    weights.addEventListener('input', event => {
+        const slider = event.target.closest('input[data-field]');
+        if (!slider) return;
+        slider.nextElementSibling.textContent = slider.value;
+
+        // Show the preset name again when the sliders are moved back to it
+        const current = getTierWeights();
+        const match = Object.entries(TIER_PRESETS).find(([, info]) =>
+            TIER_FACTORS.every(factor => (info.weights[factor.field] || 0) === (current[factor.field] || 0))
+        );
+        preset.value = match ? match[0] : 'custom';
+        updateTierList();
+    });
+
+    const group = document.getElementById('tierGroup');
+    if (group) group.addEventListener('change', updateTierList);
+
+    const results = document.getElementById('tierListResults');
+    if (results) {
+        results.addEventListener('click', event => {
+            const button = event.target.closest('button[data-weapon]');
+            if (button) renderTierBreakdown(button.dataset.group, button.dataset.weapon);
+        });
+    }
+}
+
+/**
+ * Get the tier list weight of each factor from the sliders
+ * @returns {Object} { [factor field]: weight }
+ */
+function getTierWeights() {
+    const weights = {};
+    document.querySelectorAll('#tierWeights input[data-field]').forEach(slider => {
+        weights[slider.dataset.field] = Number(slider.value);
+    });
+    return weights;
+}
+
+/**
+ * Move the tier list weight sliders to a set of weights
+ * @param {Object} weights - { [factor field]: weight }; factors left out are set to 0
+ */
+function setTierWeights(weights) {
+    document.querySelectorAll('#tierWeights input[data-field]').forEach(slider => {
+        slider.value = weights[slider.dataset.field] || 0;
+        slider.nextElementSibling.textContent = slider.value;
+    });
+}
+
+/**
+ * Rank the filtered weapons and render the S–D tiers
+ */
+function updateTierList() {
+    const container = document.getElementById('tierListResults');
+    if (!container) return;
+
+    const groupBy = document.getElementById('tierGroup').value;
+    tierListGroups = buildTierList(getFilteredData(), getTierWeights(), { ...getTTKOptions(), groupBy });
+
+    const breakdown = document.getElementById('tierBreakdown');
+    if (breakdown) breakdown.innerHTML = '';
+
+    if (tierListGroups.every(group => group.scores.length === 0)) {
+        container.innerHTML = '<p class="section-intro">No weapons to rank. Give at least one factor a weight, or loosen the filters.</p>';
+        return;
+    }
+
+    container.innerHTML = tierListGroups.filter(group => group.scores.length > 0).map(group => `
+        <div class="tier-group">
+            ${groupBy === 'type' ? `<h3>${escapeHTML(group.group)}</h3>` : ''}
+            ${group.tiers.map(({ tier, weapons }) => `
+                <div class="tier-row tier-${tier.toLowerCase()}">
+                    <span class="tier-label">${tier}</span>
+                    <div class="tier-weapons">
+                        ${weapons.map(score => `<button type="button" class="tier-weapon" data-group="${escapeHTML(group.group)}" data-weapon="${escapeHTML(score.weapon)}" title="${escapeHTML(score.type)}, score ${formatNumber(score.score)}">${escapeHTML(score.weapon)}<small>${formatNumber(score.score)}</small></button>`).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Explain a weapon's tier list score factor by factor
+ * @param {string} groupName - 'Overall' or the weapon type the weapon was ranked in
+ * @param {string} weaponName - Weapon name
+ */
+function renderTierBreakdown(groupName, weaponName) {
+    const container = document.getElementById('tierBreakdown');
+    const group = tierListGroups.find(entry => entry.group === groupName);
+    const score = group && group.scores.find(entry => entry.weapon === weaponName);
+    if (!container || !score) return;
+
+    const rankedAgainst = groupName === 'Overall' ? `${group.scores.length} weapons` : `${group.scores.length} ${groupName} weapons`;
+    const missing = Object.entries(getTierWeights())
+        .filter(([field, weight]) => weight > 0 && !score.breakdown.some(entry => entry.field === field))
+        .map(([field]) => getWeaponField(field).label);
+    container.innerHTML = `
+        <h3>${escapeHTML(score.weapon)} · ${score.tier} tier · ${formatNumber(score.score)} points</h3>
+        <p class="section-intro">Ranked against ${rankedAgainst}. Points = percentile × weight share.${missing.length > 0 ? ` No data for ${missing.join(', ')}, so those weights were spread over the other factors.` : ''}</p>
+        <div class="table-wrapper">
+            <table>
+                <thead><tr><th>Factor</th><th>Value</th><th>Percentile</th><th>Weight</th><th>Points</th></tr></thead>
+                <tbody>
+                    ${score.breakdown.map(entry => `
+                        <tr>
+                            <td>${entry.label}</td>
+                            <td>${formatNumber(entry.value)}</td>
+                            <td>${formatNumber(entry.percentile)}</td>
+                            <td>${formatNumber(entry.weight)}%</td>
+                            <td>${formatNumber(entry.points)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Build the engagement profile picker and distance band inputs
+ */
+function initEngagementProfiles() {
+    const select = document.getElementById('engagementProfile');
+    const bands = document.getElementById('engagementBands');
+    if (!select || !bands) return;
+
+    bands.innerHTML = ENGAGEMENT_BANDS.map(band => `
+        <label>
+            ${band.min}–${band.max}m
+            <input type="number" min="0" max="100" step="1" value="0" data-band="${band.id}"> %
+        </label>
+    `).join('');
+
+    populateEngagementProfileSelect(DEFAULT_ENGAGEMENT_PROFILE);
+    setEngagementShares(getEngagementProfile(DEFAULT_ENGAGEMENT_PROFILE).shares);
+
+    select.addEventListener('change', () => {
+        if (select.value) {
+            setEngagementShares(getEngagementProfile(select.value).shares);
+        }
+        updateEngagementProfiles();
+    });
+
+    bands.addEventListener('input', () => {
+        // Show the profile name again when the shares are changed back to it
+        const shares = getEngagementShares();
+        const match = getEngagementProfiles().find(profile =>
+            profile.shares.every((share, index) => share === shares[index])
+        );
+        select.value = match ? match.id : '';
+        updateEngagementProfiles();
+    });
+
+    const save = document.getElementById('saveEngagementProfile');
+    if (save) save.addEventListener('click', handleSaveEngagementProfile);
+
+    const remove = document.getElementById('deleteEngagementProfile');
+    if (remove) remove.addEventListener('click', handleDeleteEngagementProfile);
+}
+
+/**
+ * Fill the engagement profile picker (built-in profiles, then saved ones)
+ * @param {string} selectedId - Profile to select; '' selects the unsaved entry
+ */
+function populateEngagementProfileSelect(selectedId) {
+    const select = document.getElementById('engagementProfile');
+    if (!select) return;
+
+    const profiles = getEngagementProfiles();
+    const options = list => list.map(profile => `<option value="${escapeHTML(profile.id)}">${escapeHTML(profile.label)}</option>`).join('');
+    const saved = profiles.filter(profile => profile.custom);
+
+    select.innerHTML = `
+        <optgroup label="Presets">${options(profiles.filter(profile => !profile.custom))}</optgroup>
+        ${saved.length > 0 ? `<optgroup label="Saved">${options(saved)}</optgroup>` : ''}
+        <option value="">Unsaved changes</option>
+    `;
+    select.value = selectedId;
+}
+
+/**
+ * Get the share of fights entered for each distance band
+ * @returns {Array<number>} Percentages in ENGAGEMENT_BANDS order
+ */
+function getEngagementShares() {
+    return Array.from(document.querySelectorAll('#engagementBands input[data-band]'))
+        .map(input => Math.max(0, Number(input.value) || 0));
+}
+
+/**
+ * Fill the distance band inputs
+ * @param {Array<number>} shares - Percentages in ENGAGEMENT_BANDS order
+ */
+function setEngagementShares(shares) {
+    document.querySelectorAll('#engagementBands input[data-band]').forEach((input, index) => {
+        input.value = shares[index] || 0;
+    });
+}
+
+/**
+ * Rank the filtered weapons by expected TTK for the entered distribution
+ */
+function updateEngagementProfiles() {
+    const summary = document.getElementById('engagementSummary');
+    if (!summary || !document.getElementById('engagementChart')) return;
+
+    const select = document.getElementById('engagementProfile');
+    const remove = document.getElementById('deleteEngagementProfile');
+    if (remove) remove.disabled = !select.value || !getEngagementProfile(select.value).custom;
+
+    const shares = getEngagementShares();
+    const total = shares.reduce((sum, share) => sum + share, 0);
+    if (total === 0) {
+        summary.textContent = 'Give at least one distance band a share above 0%.';
+        clearChart('engagementChart');
+        return;
+    }
+
+    const close = ENGAGEMENT_BANDS.reduce((sum, band, index) => sum + (band.max <= 20 ? shares[index] : 0), 0);
+    const far = ENGAGEMENT_BANDS.reduce((sum, band, index) => sum + (band.min >= 50 ? shares[index] : 0), 0);
+    const ranking = rankByExpectedTTK(getFilteredData(), shares, getTTKOptions());
+
+    summary.innerHTML = [
+        `${Math.round((close / total) * 100)}% of fights under 20m, ${Math.round((far / total) * 100)}% beyond 50m.`,
+        total !== 100 ? `Shares add up to ${formatNumber(total)}% and are scaled to 100%.` : '',
+        ranking.length > 0
+            ? `Fastest expected TTK: <strong>${escapeHTML(ranking[0].weapon)}</strong> (${formatNumber(ranking[0].ttk)}ms).`
+            : 'No weapon has damage data for every band with fights.'
+    ].filter(Boolean).join(' ');
+
+    if (ranking.length === 0) {
+        clearChart('engagementChart');
+        return;
+    }
+
+    const label = select.value ? getEngagementProfile(select.value).label : 'Unsaved profile';
+    createExpectedTTKChart(ranking, 'engagementChart', label);
+}
+
+/**
+ * Save the entered distribution under the typed name and store it in the browser
+ */
+async function handleSaveEngagementProfile() {
+    const name = document.getElementById('engagementName');
+    const existing = findEngagementProfileByLabel(name.value);
+    if (existing && !confirm(`Replace the saved "${existing.label}" engagement profile?`)) return;
+
+    let profile;
+    try {
+        profile = saveEngagementProfile(name.value, getEngagementShares());
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    name.value = '';
+    populateEngagementProfileSelect(profile.id);
+    updateEngagementProfiles();
+
+    try {
+        await writeStoredValue('profiles', 'engagement', getCustomEngagementProfiles());
+    } catch (error) {
+        console.error('Error saving engagement profiles:', error);
+        alert(`The profile works for this visit but could not be saved: ${error.message}`);
+    }
+}
+
+/**
+ * Delete the selected saved profile
+ */
+async function handleDeleteEngagementProfile() {
+    const select = document.getElementById('engagementProfile');
+    const profile = getEngagementProfile(select.value);
+    if (!select.value || !profile.custom || !confirm(`Delete the "${profile.label}" engagement profile?`)) return;
+
+    deleteEngagementProfile(profile.id);
+    populateEngagementProfileSelect(DEFAULT_ENGAGEMENT_PROFILE);
+    setEngagementShares(getEngagementProfile(DEFAULT_ENGAGEMENT_PROFILE).shares);
+    updateEngagementProfiles();
+
+    try {
+        await writeStoredValue('profiles', 'engagement', getCustomEngagementProfiles());
+    } catch (error) {
+        console.error('Error saving engagement profiles:', error);
+    }
+}
+
+/**
+ * Initialize the crossover weapon picker
+ */
+function initBreakpoints(weapons) {
+    const select = document.getElementById('crossoverWeapon');
+    if (!select) return;
+
+    populateWeaponSelect(select, weapons);
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All pairs';
+    select.insertBefore(all, select.firstChild);
+    select.value = '';
+
+    select.addEventListener('change', updateBreakpoints);
+}
+
+/**
+ * Render the best-weapon bands, STK breakpoints and TTK crossovers for the filtered weapons
+ */
+function updateBreakpoints() {
+    const stkBody = document.getElementById('stkBreakpointTableBody');
+    const crossoverBody = document.getElementById('crossoverTableBody');
+    const summary = document.getElementById('crossoverSummary');
+    if (!stkBody || !crossoverBody || !summary) return;
+
+    const options = getTTKOptions();
+    const weapons = getFilteredData().filter(weapon => weapon.RPM !== null && RANGES.some(range => weapon[range] !== null));
+    const select = document.getElementById('crossoverWeapon');
+
+    // updateVisualization calls this on every filter or range change; only redo it when an input changed
+    const key = JSON.stringify([weapons, options, select ? select.value : '']);
+    if (key === breakpointKey) return;
+    breakpointKey = key;
+
+    if (weapons.length === 0) {
+        clearChart('bestWeaponChart');
+        stkBody.innerHTML = '<tr><td colspan="4">No weapons match the current filters.</td></tr>';
+        crossoverBody.innerHTML = '';
+        summary.textContent = '';
+        return;
+    }
+
+    // One band for all filtered weapons, plus one per type when several types are shown
+    const types = [...new Set(weapons.map(weapon => weapon['Weapon Type']))];
+    const rows = [{ label: 'All weapons', segments: getBestWeaponByDistance(weapons, options) }];
+    if (types.length > 1) {
+        types.forEach(type => {
+            rows.push({ label: type, segments: getBestWeaponByDistance(weapons.filter(weapon => weapon['Weapon Type'] === type), options) });
+        });
+    }
+    createBestWeaponChart(rows, 'bestWeaponChart');
+
+    stkBody.innerHTML = weapons.map(weapon => {
+        const breakpoints = findSTKBreakpoints(weapon, options);
+        const text = breakpoints.length > 0
+            ? breakpoints.map(point => `${point.from} → ${point.to} at ${point.distance}m`).join(', ')
+            : `No change up to ${MAX_DISTANCE}m`;
+        return `<tr>
+            <td><strong>${escapeHTML(weapon.Weapon)}</strong></td>
+            <td>${escapeHTML(weapon['Weapon Type'])}</td>
+            <td>${formatNumber(calculateWeaponSTK(weapon, 1, options))}</td>
+            <td>${text}</td>
+        </tr>`;
+    }).join('');
+
+    const focus = select && weapons.some(weapon => weapon.Weapon === select.value) ? select.value : '';
+    const crossovers = findAllTTKCrossovers(weapons, { ...options, focus });
+    const highlight = name => (name === focus ? `<strong>${escapeHTML(name)}</strong>` : escapeHTML(name));
+
+    if (focus) {
+        const rivals = new Set(crossovers.map(entry => (entry.leader === focus ? entry.trailer : entry.leader)));
+        summary.innerHTML = `<strong>${escapeHTML(focus)}</strong> trades places with ${rivals.size} of the other ${weapons.length - 1} weapons.`;
+    } else {
+        const hidden = select && select.value ? `${escapeHTML(select.value)} is filtered out, so all pairs are shown. ` : '';
+        const limited = crossovers.length > CROSSOVER_TABLE_LIMIT
+            ? ` Showing the nearest ${CROSSOVER_TABLE_LIMIT}; pick a weapon to see all of its crossovers.`
+            : '';
+        summary.innerHTML = `${hidden}${crossovers.length} crossover${crossovers.length === 1 ? '' : 's'} among ${weapons.length} weapons.${limited}`;
+    }
+
+    crossoverBody.innerHTML = crossovers.length > 0
+        ? crossovers.slice(0, focus ? crossovers.length : CROSSOVER_TABLE_LIMIT).map(entry => `<tr>
+            <td>${entry.distance}m</td>
+            <td class="stat-better">${highlight(entry.leader)}</td>
+            <td>${highlight(entry.trailer)}</td>
+        </tr>`).join('')
+        : `<tr><td colspan="3">No TTK rankings flip between 1m and ${MAX_DISTANCE}m.</td></tr>`;
+}
+
+/**
+ * Initialize the alternative finder pickers
+ */
+function initAlternatives(weapons) {
+    const select = document.getElementById('alternativeWeapon');
+    const scope = document.getElementById('alternativeScope');
+    const limit = document.getElementById('alternativeLimit');
+    const tbody = document.getElementById('alternativeTableBody');
+    if (!select || !scope || !limit || !tbody) return;
+
+    populateWeaponSelect(select, weapons);
+    scope.innerHTML = Object.entries(SIMILARITY_SCOPES)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`)
+        .join('');
+    scope.value = 'any';
+
+    [select, scope, limit].forEach(control => control.addEventListener('change', updateAlternatives));
+
+    // Weapon names open the detail view
+    tbody.addEventListener('click', event => {
+        const button = event.target.closest('button[data-weapon]');
+        if (button) openWeaponDetail(button.dataset.weapon);
+    });
+}
+
+/**
+ * Find the weapons most similar to a weapon in the current patch
+ * @param {string} name - Weapon name
+ * @param {Object} options - { limit, scope } (see getSimilarWeapons)
+ * @returns {Array<Object>} Similar weapons closest first (empty when the weapon is unknown)
+ */
+function findAlternatives(name, options = {}) {
+    const weapon = getWeaponByName(name);
+    return weapon ? getSimilarWeapons(weapon, getAllWeapons(), options) : [];
+}
+
+/**
+ * Render the closest alternatives to the picked weapon
+ */
+function updateAlternatives() {
+    const select = document.getElementById('alternativeWeapon');
+    const thead = document.getElementById('alternativeTableHead');
+    const tbody = document.getElementById('alternativeTableBody');
+    const summary = document.getElementById('alternativeSummary');
+    if (!select || !thead || !tbody || !summary) return;
+
+    const weapon = getWeaponByName(select.value);
+    if (!weapon) {
+        thead.innerHTML = '';
+        tbody.innerHTML = '';
+        summary.textContent = 'Pick a weapon to find alternatives.';
+        return;
+    }
+
+    const scope = document.getElementById('alternativeScope').value;
+    const limit = parseInt(document.getElementById('alternativeLimit').value, 10);
+    const alternatives = findAlternatives(weapon.Weapon, { scope, limit });
+    const features = getSimilarityScales([weapon]);
+
+    thead.innerHTML = `<tr>
+        <th>#</th><th>Weapon</th><th>Type</th><th>Similarity</th>
+        ${features.map(feature => `<th>${feature.label}</th>`).join('')}
+    </tr>`;
+
+    const type = escapeHTML(weapon['Weapon Type']);
+    const scopeText = { any: '', same: ` (${type} only)`, other: ` (excluding ${type})` }[scope];
+    summary.innerHTML = alternatives.length > 0
+        ? `Closest to <strong>${escapeHTML(weapon.Weapon)}</strong>${scopeText}: <strong>${escapeHTML(alternatives[0].weapon)}</strong>, ${formatNumber(alternatives[0].similarity)}% similar.`
+        : `No weapons to compare with <strong>${escapeHTML(weapon.Weapon)}</strong>${scopeText}.`;
+
+    // Each stat is shown with its difference from the picked weapon, coloured by whether it is better
+    const differenceCell = difference => {
+        if (difference.value === null) return '<td>N/A</td>';
+        if (difference.delta === null || difference.delta === 0) return `<td>${formatNumber(difference.value)}</td>`;
+        const better = difference.better === 'higher' ? difference.delta > 0 : difference.delta < 0;
+        const sign = difference.delta > 0 ? '+' : '';
+        return `<td class="${better ? 'stat-better' : 'stat-worse'}">${formatNumber(difference.value)} <small>(${sign}${formatNumber(difference.delta)})</small></td>`;
+    };
+
+    tbody.innerHTML = alternatives.map((entry, index) => `<tr>
+        <td>${index + 1}</td>
+        <td><button type="button" class="alternative-weapon" data-weapon="${escapeHTML(entry.weapon)}" title="Open weapon details">${escapeHTML(entry.weapon)}</button></td>
+        <td>${escapeHTML(entry.type)}</td>
+        <td>${formatNumber(entry.similarity)}%</td>
+        ${entry.differences.map(differenceCell).join('')}
+    </tr>`).join('');
+}
+
+/**
+ * Open the detail view of a weapon from a click or Enter on its table row
+ */
+function handleWeaponRowOpen(event) {
+    if (event.type === 'keydown' && event.key !== 'Enter') return;
+    // Clicks in the stat editor inputs stay in the table
+    if (event.target.closest('input, button, a, select')) return;
+
+    const row = event.target.closest('tr[data-weapon]');
+    if (row) {
+        openWeaponDetail(row.dataset.weapon);
+    }
+}
+
+/**
+ * Show the detail view of a weapon and add it to the browser history
+ * @param {string} name - Weapon name
+ */
+function openWeaponDetail(name) {
+    if (!getWeaponByName(name)) return;
+
+    currentFilters.weapon = name;
+    writeUrlState(false);
+    renderWeaponDetail();
+
+    // Move focus (and the page) to the top of the detail view
+    const title = document.getElementById('detailTitle');
+    if (title) title.focus();
+}
+
+/**
+ * Go back from the detail view to the weapon table
+ */
+function closeWeaponDetail() {
+    const name = currentFilters.weapon;
+    currentFilters.weapon = '';
+    writeUrlState(false);
+    renderWeaponDetail();
+
+    const row = Array.from(document.querySelectorAll('#weaponTableBody tr[data-weapon]'))
+        .find(entry => entry.dataset.weapon === name);
+    if (row) row.focus();
+}
+
+/**
+ * Render the detail view for currentFilters.weapon, or hide it when no weapon is picked
+ */
+function renderWeaponDetail() {
+    const section = document.getElementById('weapon-detail');
+    if (!section) return;
+
+    const weapon = currentFilters.weapon ? getWeaponByName(currentFilters.weapon) : null;
+    if (currentFilters.weapon && !weapon) {
+        // The weapon is not in this patch
+        currentFilters.weapon = '';
+    }
+
+    section.hidden = !weapon;
+    document.body.classList.toggle('weapon-detail-open', Boolean(weapon));
+    if (!weapon) return;
+
+    const options = getTTKOptions();
+    const weapons = getAllWeapons();
+    const type = weapon['Weapon Type'];
+
+    document.getElementById('detailTitle').innerHTML = escapeHTML(weapon.Weapon) +
+        (weapon.isCustom ? ' <span class="status-badge custom">Custom</span>' : '') +
+        (weapon.isComplete ? '' : ' <span class="status-badge incomplete">Incomplete</span>');
+    document.getElementById('detailSubtitle').textContent =
+        `${type} · ${getCurrentPatch().name} patch · ${getTargetProfile(options.target).label}`;
+
+    document.getElementById('detailStats').innerHTML = ['rpm', 'dps', 'ads', 'precision', 'control', 'mag', 'reload', 'sustainedDps']
+        .map(fieldId => {
+            const value = getWeaponFieldValue(weapon, fieldId, options);
+            return `<div class="stat-card">
+                <span class="stat-label">${getWeaponField(fieldId).label}</span>
+                <span class="stat-value">${value === null ? '—' : formatNumber(Math.round(value * 10) / 10)}</span>
+            </div>`;
+        }).join('');
+
+    createWeaponDetailChart(weapon, 'detailChart');
+
+    // Damage, drop-off, STK and TTK for all three methods at every sampled range
+    const methods = [['hip', 'Hip Fire'], ['ads', 'ADS'], ['recoil', 'Recoil Adjusted']];
+    document.getElementById('detailRangeTableHead').innerHTML = `<tr>
+        <th>Range</th><th>Damage</th><th>Drop-off vs 10M</th><th>STK</th>
+        ${methods.map(([method, label]) => `<th>TTK ${label}${method === options.method ? ' (selected)' : ''}</th>`).join('')}
+    </tr>`;
+    document.getElementById('detailRangeTableBody').innerHTML = RANGES.map(range => {
+        const dropoff = range === '10M' ? 0 : getDamageDropoff(weapon, '10M', range);
+        return `<tr>
+            <td><strong>${formatRangeLabel(range)}</strong></td>
+            <td>${formatNumber(weapon[range])}</td>
+            <td>${dropoff === null ? 'N/A' : `${formatNumber(dropoff)}%`}</td>
+            <td>${formatNumber(calculateWeaponSTK(weapon, range, options))}</td>
+            ${methods.map(([method]) => {
+                const ttk = calculateWeaponTTK(weapon, range, { ...options, method });
+                return `<td>${ttk === null ? 'N/A' : `${formatNumber(Math.round(ttk * 10) / 10)}ms`}</td>`;
+            }).join('')}
+        </tr>`;
+    }).join('');
+
+    // Percentile ranks (75+ and 25- are highlighted)
+    const typeCount = weapons.filter(other => other['Weapon Type'] === type).length;
+    const rankCell = rank => {
+        if (rank === null) return '<td>N/A</td>';
+        const className = rank >= 75 ? 'stat-better' : (rank <= 25 ? 'stat-worse' : '');
+        return `<td class="${className}">${formatNumber(rank)}</td>`;
+    };
+    document.getElementById('detailRankTableHead').innerHTML =
+        `<tr><th>Stat</th><th>Value</th><th>Within ${escapeHTML(type)} (${typeCount})</th><th>Overall (${weapons.length})</th></tr>`;
+    document.getElementById('detailRankTableBody').innerHTML = getWeaponRanks(weapon, weapons, options).map(rank => `<tr>
+        <td>${rank.label}</td>
+        <td>${rank.value === null ? 'N/A' : formatNumber(Math.round(rank.value * 10) / 10)}</td>
+        ${rankCell(rank.type)}
+        ${rankCell(rank.overall)}
+    </tr>`).join('');
+
+    const similar = getSimilarWeapons(weapon, weapons);
+    document.getElementById('detailSimilar').innerHTML = similar.length > 0
+        ? similar.map(entry => `<li>
+            <button type="button" class="btn-secondary" data-weapon="${escapeHTML(entry.weapon)}">${escapeHTML(entry.weapon)}</button>
+            <span>${escapeHTML(entry.type)} · ${formatNumber(entry.similarity)}% similar</span>
+        </li>`).join('')
+        : '<li>No other weapons to compare.</li>';
+}
+
+/**
+ * Populate weapon statistics table
+ */
+function populateWeaponTable(weapons) {
+    const tbody = document.getElementById('weaponTableBody');
+    if (!tbody) return;
+
+    renderWeaponTableHead();
+    tbody.innerHTML = '';
+
+    // TTK and STK columns follow the selected method, hit model and target
+    const options = getTTKOptions();
+    const sorted = sortWeaponsByFields(weapons, currentFilters.sort, options);
+
+    sorted.forEach(weapon => {
+        const row = document.createElement('tr');
+        row.dataset.weapon = weapon.Weapon;
+        row.tabIndex = 0;
+        row.title = 'Open weapon details';
+
+        // Add class for incomplete data
+        if (!weapon.isComplete) {
+            row.classList.add('incomplete-data');
+        }
+
+        currentFilters.columns.forEach(fieldId => {
+            const cell = document.createElement('td');
+            const { html, title, className } = formatWeaponTableCell(weapon, fieldId, options);
+            cell.innerHTML = html;
+            if (title) {
+                cell.title = title;
+            }
+            if (className) {
+                cell.className = className;
+            }
+            row.appendChild(cell);
+        });
+
+        tbody.appendChild(row);
+    });
+
+    updateEditControls();
+}
+
+/**
+ * Format an editable stat cell: an input in edit mode, highlighted when it differs from the dataset
+ * @returns {Object|null} { html, title, className }, or null when the field is not editable
+ */
+function formatEditableCell(weapon, fieldId) {
+    const key = EDITABLE_WEAPON_FIELDS[fieldId];
+    if (!key) return null;
+
+    const value = weapon[key];
+    const edits = getWeaponEdits(weapon);
+    const edited = key in edits;
+    const title = edited ? `Edited (dataset: ${formatNumber(edits[key])})` : '';
+    const className = edited ? 'cell-edited' : '';
+
+    if (!isEditMode) {
+        return { html: formatNumber(value), title, className };
+    }
+
+    const max = key === 'Precision' || key === 'Control' ? ' max="100"' : '';
+    return {
+        html: `<input type="number" class="cell-input" min="0"${max} step="any" value="${value != null ? value : ''}"
+            data-weapon="${escapeHTML(weapon.Weapon)}" data-key="${key}" aria-label="${getWeaponField(fieldId).label} for ${escapeHTML(weapon.Weapon)}">`,
+        title,
+        className
+    };
+}
+
+/**
+ * Turn the weapon table stat editor on or off
+ */
+function handleToggleEditMode() {
+    isEditMode = !isEditMode;
+    document.body.classList.toggle('edit-mode', isEditMode);
+
+    const toggle = document.getElementById('toggleEditMode');
+    if (toggle) toggle.setAttribute('aria-pressed', String(isEditMode));
+    const controls = document.getElementById('editControls');
+    if (controls) controls.hidden = !isEditMode;
+
+    populateWeaponTable(getFilteredData());
+}
+
+/**
+ * Apply a value typed into a stat editor input
+ */
+function handleWeaponCellEdit(event) {
+    const input = event.target;
+    if (!input.classList || !input.classList.contains('cell-input')) return;
+
+    const text = input.value.trim();
+    const value = text === '' ? null : Number(text);
+    const edit = editWeaponStat(input.dataset.weapon, input.dataset.key, value);
+
+    if (!edit) {
+        const weapon = getWeaponByName(input.dataset.weapon);
+        const current = weapon ? weapon[input.dataset.key] : null;
+        if (current !== value) {
+            // Invalid value: put the current one back
+            input.value = current != null ? current : '';
+            setEditStatus(`Invalid value for ${input.dataset.key}: use a number ≥ 0${input.max ? ` and ≤ ${input.max}` : ''}.`);
+        }
+        return;
+    }
+
+    refreshAfterEdit();
+}
+
+/**
+ * Run undoWeaponEdit or redoWeaponEdit and redraw when something changed
+ */
+function applyEditHistory(step) {
+    if (step()) {
+        refreshAfterEdit();
+    }
+}
+
+/**
+ * Redraw charts, table and panels after a stat edit, keeping focus on the same table input
+ */
+function refreshAfterEdit() {
+    const active = document.activeElement;
+    const focus = active && active.classList && active.classList.contains('cell-input')
+        ? { weapon: active.dataset.weapon, key: active.dataset.key }
+        : null;
+
+    initializeCharts(getAllWeapons());
+
+    if (focus) {
+        const input = Array.from(document.querySelectorAll('#weaponTableBody .cell-input'))
+            .find(el => el.dataset.weapon === focus.weapon && el.dataset.key === focus.key);
+        if (input) input.focus();
+    }
+}
+
+/**
+ * Discard all stat edits by reloading the active dataset
+ */
+async function handleResetEdits() {
+    if (getWeaponEditState().edited > 0 && !confirm('Discard all stat edits and reload the dataset?')) return;
+    await reloadWeaponData();
+}
+
+/**
+ * Download all weapons, including stat edits, in the data/ttk.csv format
+ */
+function handleExportEdits() {
+    const csv = exportToCSV(getWeaponCSVRows(getAllWeapons()));
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadCSV(csv, `ttk_edited_${timestamp}.csv`);
+}
+
+/**
+ * Show a message in the stat editor toolbar
+ */
+function setEditStatus(message) {
+    const status = document.getElementById('editStatus');
+    if (status) status.textContent = message;
+}
+
+/**
+ * Enable the undo/redo/reset buttons and summarize the edits
+ */
+function updateEditControls() {
+    const state = getWeaponEditState();
+    const buttons = { undoEdit: state.undo === 0, redoEdit: state.redo === 0, resetEdits: state.edited === 0 };
+    Object.entries(buttons).forEach(([id, disabled]) => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = disabled;
+    });
+
+    setEditStatus(state.edited > 0
+        ? `${state.edited} weapon${state.edited === 1 ? '' : 's'} edited — charts show the edited values`
+        : 'Change a damage, RPM, ADS, Precision or Control value; charts update when you leave the cell.');
+}
+
+/**
+ * Format one weapon table cell
+ * @returns {Object} { html, title, className }
+ */
+function formatWeaponTableCell(weapon, fieldId, options) {
+    const value = getWeaponFieldValue(weapon, fieldId, options);
+
+    const editable = formatEditableCell(weapon, fieldId);
+    if (editable) {
+        return editable;
+    }
+
+    if (fieldId === 'weapon') {
+        const badge = weapon.isCustom
+            ? ` <span class="status-badge custom" title="Imported from ${escapeHTML(getCustomImport().name)}">Custom</span>`
+            : '';
+        return { html: `<strong>${escapeHTML(weapon.Weapon)}</strong>${badge}` };
+    }
+    if (fieldId === 'status') {
+        return {
+            html: weapon.isComplete
+                ? '<span class="status-badge complete">Complete</span>'
+                : '<span class="status-badge incomplete">Incomplete</span>'
+        };
+    }
+    if (fieldId === 'reload') {
+        // Tactical / empty reload times
+        const hasReload = weapon.Reload != null || weapon['Reload Empty'] != null;
+        return { html: hasReload ? `${formatNumber(weapon.Reload)} / ${formatNumber(weapon['Reload Empty'])}` : 'N/A' };
+    }
+    if (fieldId === 'dps' && weapon.dpsMismatch) {
+        return {
+            html: `${formatNumber(value)} <span class="dps-mismatch" aria-label="Reported DPS differs">⚠</span>`,
+            title: `CSV reports ${formatNumber(weapon.ReportedDPS)} DPS; damage × RPM / 60 gives ${formatNumber(value)}`
+        };
+    }
+    if (fieldId === 'sustainedDps') {
+        return { html: formatNumber(value), title: `Burst DPS: ${formatNumber(weapon.DPS)}` };
+    }
+    if (fieldId.startsWith('ttk@')) {
+        // Show the full hit distribution spread on hover
+        let title = '';
+        if (value !== null && options.hitModel === 'distribution') {
+            const profile = calculateHitProfile(weapon, fieldId.split('@')[1], options);
+            title = `Optimal: ${profile.optimal.ttk}ms (${profile.optimal.stk} STK) / ` +
+                `Typical: ${profile.typical.ttk}ms (${profile.typical.stk} STK) / ` +
+                `Worst: ${profile.worst.ttk}ms (${profile.worst.stk} STK)`;
+        }
+        return { html: value !== null ? `${value}ms` : 'N/A', title };
+    }
+    if (fieldId === 'dropoff') {
+        return { html: value !== null ? `${value}%` : 'N/A' };
+    }
+    if (typeof value === 'number') {
+        return { html: formatNumber(Math.round(value * 10) / 10) };
+    }
+    return { html: escapeHTML(formatNumber(value)) };
+}
+
+/**
+ * Render the weapon table header for the selected columns and sort keys
+ */
+function renderWeaponTableHead() {
+    const head = document.getElementById('weaponTableHead');
+    if (!head) return;
+
+    head.innerHTML = '';
+    const multiSort = currentFilters.sort.length > 1;
+
+    currentFilters.columns.forEach(fieldId => {
+        const field = getWeaponField(fieldId);
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.className = 'sortable';
+        th.tabIndex = 0;
+        th.dataset.field = fieldId;
+        th.title = 'Click to sort, Shift+click to add a secondary sort';
+        th.textContent = field.label;
+
+        const sortIndex = currentFilters.sort.findIndex(key => key.field === fieldId);
+        if (sortIndex === -1) {
+            th.setAttribute('aria-sort', 'none');
+        } else {
+            const direction = currentFilters.sort[sortIndex].direction;
+            th.setAttribute('aria-sort', direction === 'desc' ? 'descending' : 'ascending');
+
+            const indicator = document.createElement('span');
+            indicator.className = 'sort-indicator';
+            indicator.textContent = `${direction === 'desc' ? '▼' : '▲'}${multiSort ? sortIndex + 1 : ''}`;
+            th.appendChild(indicator);
+        }
+
+        head.appendChild(th);
+    });
+}
+
+/**
+ * Handle a click (or Enter) on a weapon table header
+ * A plain click sorts by that column only (toggling direction if it already leads the sort);
+ * Shift adds the column as another sort key, or toggles it if it is already one.
+ */
+function handleTableHeaderSort(event) {
+    if (event.type === 'keydown' && event.key !== 'Enter' && event.key !== ' ') return;
+
+    const th = event.target.closest('th[data-field]');
+    if (!th) return;
+    event.preventDefault();
+
+    const fieldId = th.dataset.field;
+    const flip = direction => (direction === 'asc' ? 'desc' : 'asc');
+    const existing = currentFilters.sort.find(key => key.field === fieldId);
+
+    if (event.shiftKey) {
+        currentFilters.sort = existing
+            ? currentFilters.sort.map(key => (key.field === fieldId ? { ...key, direction: flip(key.direction) } : key))
+            : [...currentFilters.sort, { field: fieldId, direction: 'asc' }];
+    } else {
+        const leads = currentFilters.sort.length > 0 && currentFilters.sort[0].field === fieldId;
+        currentFilters.sort = [{ field: fieldId, direction: leads ? flip(currentFilters.sort[0].direction) : 'asc' }];
+    }
+
+    populateWeaponTable(getFilteredData());
+    scheduleUrlStateUpdate();
+}
+
+/**
+ * Handle clear sort button click (back to CSV order)
+ */
+function handleClearTableSort() {
+    currentFilters.sort = [];
+    populateWeaponTable(getFilteredData());
+    scheduleUrlStateUpdate();
+}
+
+/**
+ * Keep table columns in WEAPON_FIELDS order; the weapon name is always shown
+ */
+function normalizeTableColumns(columns) {
+    return WEAPON_FIELDS
+        .filter(field => field.id === 'weapon' || columns.includes(field.id))
+        .map(field => field.id);
+}
+
+/**
+ * Add one checkbox per weapon field, grouped in fieldsets like WEAPON_FIELDS
+ * (the weapon name is always included, so its checkbox is disabled)
+ * @param {HTMLElement} container - Element to append the fieldsets to
+ */
+function appendWeaponFieldCheckboxes(container) {
+    const groups = [...new Set(WEAPON_FIELDS.map(field => field.group))];
+
+    groups.forEach(group => {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = group;
+        fieldset.appendChild(legend);
+
+        WEAPON_FIELDS.filter(field => field.group === group).forEach(field => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = field.id;
+            checkbox.disabled = field.id === 'weapon';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${field.label}`));
+            fieldset.appendChild(label);
+        });
+
+        container.appendChild(fieldset);
+    });
+}
+
+/**
+ * Build the column chooser checkboxes, grouped like WEAPON_FIELDS
+ */
+function initColumnChooser() {
+    const panel = document.getElementById('columnChooserPanel');
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    appendWeaponFieldCheckboxes(panel);
+
+    const restore = document.createElement('button');
+    restore.type = 'button';
+    restore.className = 'btn-secondary';
+    restore.textContent = 'Default Columns';
+    restore.addEventListener('click', () => setTableColumns(DEFAULT_TABLE_COLUMNS));
+    panel.appendChild(restore);
+
+    panel.addEventListener('change', () => {
+        const checked = Array.from(panel.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => checkbox.value);
+        setTableColumns(checked);
+    });
+
+    syncColumnChooser();
+}
+
+/**
+ * Show a new set of table columns; sort keys on hidden columns are dropped
+ */
+function setTableColumns(columns) {
+    currentFilters.columns = normalizeTableColumns(columns);
+    currentFilters.sort = currentFilters.sort.filter(key => currentFilters.columns.includes(key.field));
+    syncColumnChooser();
+    populateWeaponTable(getFilteredData());
+    scheduleUrlStateUpdate();
+}
+
+/**
+ * Tick the column chooser checkboxes for the current columns
+ */
+function syncColumnChooser() {
+    const panel = document.getElementById('columnChooserPanel');
+    if (!panel) return;
+
+    panel.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = currentFilters.columns.includes(checkbox.value);
+    });
+}
+
+/**
+ * Initialize the loadout builder weapon and attachment pickers
+ */
+function initLoadoutBuilder(weapons) {
+    const section = document.getElementById('loadout-builder');
+    const weaponSelect = document.getElementById('loadoutWeapon');
+    if (!section || !weaponSelect) return;
+
+    // Nothing to build without attachment data
+    if (attachmentsData.length === 0) {
+        section.hidden = true;
+        return;
+    }
+
+    populateWeaponSelect(weaponSelect, weapons);
+    weaponSelect.addEventListener('change', () => {
+        renderLoadoutSlots();
+        updateLoadoutComparison();
+    });
+
+    renderLoadoutSlots();
+    updateLoadoutComparison();
+}
+
+/**
+ * Fill a select element with weapons grouped by type
+ */
+function populateWeaponSelect(select, weapons) {
+    select.innerHTML = '';
+    const types = [...new Set(weapons.map(w => w['Weapon Type']))];
+
+    types.forEach(type => {
+        const group = document.createElement('optgroup');
+        group.label = type;
+        weapons.filter(w => w['Weapon Type'] === type).forEach(w => {
+            const option = document.createElement('option');
+            option.value = w.Weapon;
+            option.textContent = w.Weapon;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    });
+}
+
+/**
+ * Describe an attachment's modifiers, e.g. "35M-70M dmg +10%, ADS +8%"
+ */
+function describeAttachment(attachment) {
+    const parts = [];
+
+    const damageRanges = RANGES.filter(range => attachment[range] !== 0);
+    if (damageRanges.length > 0) {
+        const sameChange = damageRanges.every(range => attachment[range] === attachment[damageRanges[0]]);
+        if (sameChange) {
+            const span = damageRanges.length > 1
+                ? `${damageRanges[0]}-${damageRanges[damageRanges.length - 1]}`
+                : damageRanges[0];
+            parts.push(`${span} dmg ${formatSigned(attachment[damageRanges[0]])}%`);
+        } else {
+            parts.push(damageRanges.map(range => `${range} ${formatSigned(attachment[range])}%`).join(' '));
+        }
+    }
+
+    if (attachment.RPM) parts.push(`RPM ${formatSigned(attachment.RPM)}%`);
+    if (attachment.ADS) parts.push(`ADS ${formatSigned(attachment.ADS)}%`);
+    if (attachment.Precision) parts.push(`Precision ${formatSigned(attachment.Precision)}`);
+    if (attachment.Control) parts.push(`Control ${formatSigned(attachment.Control)}`);
+
+    return parts.join(', ');
+}
+
+/**
+ * Format a number with an explicit sign
+ */
+function formatSigned(value) {
+    return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Render one attachment select per slot for both loadouts
+ */
+function renderLoadoutSlots() {
+    const weapon = getWeaponByName(document.getElementById('loadoutWeapon').value);
+    if (!weapon) return;
+
+    ['A', 'B'].forEach(key => {
+        const container = document.getElementById(`loadoutSlots${key}`);
+        if (!container) return;
+        container.innerHTML = '';
+
+        ATTACHMENT_SLOTS.forEach(slot => {
+            const attachments = getAttachmentsForWeapon(weapon, slot);
+            const id = `loadout${key}${slot}`;
+
+            const group = document.createElement('div');
+            group.className = 'control-group';
+            group.innerHTML = `<label for="${id}">${slot}:</label>`;
+
+            const select = document.createElement('select');
+            select.id = id;
+            select.dataset.loadout = key;
+            select.disabled = attachments.length === 0;
+            select.innerHTML = '<option value="">None</option>' + attachments
+                .map(a => `<option value="${escapeHTML(a.Attachment)}" title="${escapeHTML(describeAttachment(a))}">${escapeHTML(a.Attachment)}</option>`)
+                .join('');
+            select.addEventListener('change', updateLoadoutComparison);
+
+            group.appendChild(select);
+            container.appendChild(group);
+        });
+    });
+}
+
+/**
+ * Get the attachment names chosen for a loadout
+ */
+function getSelectedAttachments(key) {
+    return ATTACHMENT_SLOTS
+        .map(slot => document.getElementById(`loadout${key}${slot}`))
+        .filter(select => select && select.value)
+        .map(select => select.value);
+}
+
+/**
+ * Recompute both loadouts and refresh the comparison table and chart
+ */
+function updateLoadoutComparison() {
+    const weaponSelect = document.getElementById('loadoutWeapon');
+    const tbody = document.getElementById('loadoutTableBody');
+    if (!weaponSelect || !tbody) return;
+
+    const base = getWeaponByName(weaponSelect.value);
+    if (!base) return;
+
+    const loadouts = [
+        base,
+        applyAttachments(base, getSelectedAttachments('A'), 'Loadout A'),
+        applyAttachments(base, getSelectedAttachments('B'), 'Loadout B')
+    ];
+
+    const options = getTTKOptions();
+    const rows = [
+        { label: 'RPM', value: w => w.RPM, higherIsBetter: true },
+        { label: 'ADS (ms)', value: w => w.ADS, higherIsBetter: false },
+        { label: 'Precision', value: w => w.Precision, higherIsBetter: true },
+        { label: 'Control', value: w => w.Control, higherIsBetter: true },
+        { label: 'DPS', value: w => w.DPS, higherIsBetter: true },
+        ...RANGES.map(range => ({ label: `Damage ${range}`, value: w => w[range], higherIsBetter: true })),
+        ...RANGES.map(range => ({ label: `STK ${range}`, value: w => calculateWeaponSTK(w, range, options), higherIsBetter: false })),
+        ...RANGES.map(range => ({ label: `TTK ${range}`, value: w => calculateWeaponTTK(w, range, options), higherIsBetter: false, unit: 'ms' }))
+    ];
+
+    tbody.innerHTML = rows.map(row => {
+        const baseValue = row.value(base);
+        const cells = loadouts.map((w, index) => {
+            const value = row.value(w);
+            let className = '';
+            if (index > 0 && value !== null && baseValue !== null && value !== baseValue) {
+                const better = row.higherIsBetter ? value > baseValue : value < baseValue;
+                className = better ? 'stat-better' : 'stat-worse';
+            }
+            const text = value === null || value === undefined ? 'N/A' : `${formatNumber(value)}${row.unit || ''}`;
+            return `<td class="${className}">${text}</td>`;
+        });
+        return `<tr><td><strong>${row.label}</strong></td>${cells.join('')}</tr>`;
+    }).join('');
+
+    createTTKRangeChart(loadouts, 'loadoutChart', `${base.Weapon} Loadouts: TTK vs Range`);
+}
+
+/**
+ * Initialize the weapon comparison pickers (two required, two optional)
+ */
+function initWeaponComparison(weapons) {
+    if (!document.getElementById('weapon-comparison') || weapons.length < 2) return;
+
+    [1, 2, 3, 4].forEach(index => {
+        const select = document.getElementById(`compareWeapon${index}`);
+        if (!select) return;
+
+        populateWeaponSelect(select, weapons);
+        if (index > 2) {
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = '— None —';
+            select.insertBefore(none, select.firstChild);
+        }
+
+        select.addEventListener('change', handleComparisonChange);
+    });
+
+    syncComparisonControls();
+}
+
+/**
+ * Handle a change of the compared weapons
+ */
+function handleComparisonChange() {
+    currentFilters.compare = getComparisonWeaponNames();
+    updateWeaponComparison();
+    scheduleUrlStateUpdate();
+}
+
+/**
+ * Update the comparison pickers to match the current filters (first two weapons by default)
+ */
+function syncComparisonControls() {
+    const names = currentFilters.compare.length >= 2
+        ? currentFilters.compare
+        : getAllWeapons().slice(0, 2).map(w => w.Weapon);
+
+    [1, 2, 3, 4].forEach(index => {
+        const select = document.getElementById(`compareWeapon${index}`);
+        if (select) {
+            select.value = names[index - 1] || '';
+        }
+    });
+}
+
+/**
+ * Get the distinct weapon names picked for comparison, reference first
+ */
+function getComparisonWeaponNames() {
+    const names = [1, 2, 3, 4]
+        .map(index => document.getElementById(`compareWeapon${index}`))
+        .filter(select => select && select.value)
+        .map(select => select.value);
+    return [...new Set(names)];
+}
+
+/**
+ * Describe where the TTK advantage flips between two weapons
+ * e.g. "B36A4 faster until 19m, M433 from 20m"
+ */
+function describeCrossovers(pair, comparison) {
+    const { weapons, crossovers } = pair;
+    if (crossovers.length === 0) {
+        const index = getComparisonLeader(pair, comparison);
+        return index === null
+            ? 'Identical TTK at every sampled range.'
+            : `No crossover: <strong>${escapeHTML(weapons[index])}</strong> is faster or equal up to ${MAX_DISTANCE}m.`;
+    }
+
+    const parts = [`<strong>${escapeHTML(weapons[1 - crossovers[0].leader])}</strong> faster until ${crossovers[0].distance - 1}m`];
+    crossovers.forEach(crossover => {
+        parts.push(`<strong>${escapeHTML(weapons[crossover.leader])}</strong> from ${crossover.distance}m`);
+    });
+    return `Crossover: ${parts.join(', ')}.`;
+}
+
+/**
+ * Find which weapon of a pair (0 or 1) has the lower TTK at the first sampled range where they differ
+ */
+function getComparisonLeader(pair, comparison) {
+    const indexes = pair.weapons.map(name => comparison.weapons.indexOf(name));
+    for (const range of RANGES) {
+        const ttkA = comparison.ranges[range].ttk[indexes[0]];
+        const ttkB = comparison.ranges[range].ttk[indexes[1]];
+        if (ttkA != null && ttkB != null && ttkA !== ttkB) {
+            return ttkA < ttkB ? 0 : 1;
+        }
+    }
+    return null;
+}
+
+/**
+ * Render the comparison table, crossover readout and overlaid charts
+ */
+function updateWeaponComparison() {
+    const head = document.getElementById('comparisonTableHead');
+    const tbody = document.getElementById('comparisonTableBody');
+    const crossoverEl = document.getElementById('comparisonCrossover');
+    if (!head || !tbody || !crossoverEl) return;
+
+    const names = getComparisonWeaponNames();
+    const comparison = names.length >= 2 ? compareWeaponList(names, getTTKOptions()) : null;
+    if (!comparison) {
+        crossoverEl.textContent = 'Select at least two different weapons to compare.';
+        head.innerHTML = '';
+        tbody.innerHTML = '';
+        clearChart('comparisonDamageChart');
+        clearChart('comparisonTTKChart');
+        return;
+    }
+
+    head.innerHTML = `<tr><th>Range</th>${comparison.weapons.map((name, i) =>
+        `<th>${escapeHTML(name)}${i === 0 ? ' (ref)' : ''}</th>`).join('')}</tr>`;
+
+    tbody.innerHTML = RANGES.map(range => {
+        const data = comparison.ranges[range];
+        const cells = comparison.weapons.map((name, i) => {
+            // Highlight STK differences against the reference weapon
+            const stkDelta = data.stkDelta[i];
+            const className = i > 0 && stkDelta ? (stkDelta < 0 ? 'stat-better' : 'stat-worse') : '';
+
+            let delta = '';
+            if (i > 0 && data.ttkDelta[i] !== null) {
+                const sign = data.ttkDelta[i] > 0 ? '+' : '';
+                const deltaClass = data.ttkDelta[i] < 0 ? 'better' : (data.ttkDelta[i] > 0 ? 'worse' : '');
+                delta = `<span class="comparison-delta ${deltaClass}">${sign}${formatNumber(data.ttkDelta[i])}ms (${sign}${formatNumber(data.ttkDeltaPercent[i])}%)</span>`;
+            }
+
+            const ttk = data.ttk[i] !== null ? `${formatNumber(data.ttk[i])}ms` : 'N/A';
+            return `<td class="${className}">${ttk} · STK ${formatNumber(data.stk[i])}<span class="comparison-delta">Damage ${formatNumber(data.damage[i])}</span>${delta}</td>`;
+        });
+        return `<tr><td><strong>${formatRangeLabel(range)}</strong></td>${cells.join('')}</tr>`;
+    }).join('');
+
+    crossoverEl.innerHTML = comparison.crossovers.map(pair =>
+        `<p>${escapeHTML(pair.weapons[0])} vs ${escapeHTML(pair.weapons[1])}: ${describeCrossovers(pair, comparison)}</p>`
+    ).join('');
+
+    const weapons = comparison.weapons.map(name => getWeaponByName(name));
+    const markers = [...new Set(comparison.crossovers.flatMap(pair => pair.crossovers.map(c => c.distance)))];
+    createDamageChart(weapons, 'comparisonDamageChart');
+    createTTKRangeChart(weapons, 'comparisonTTKChart', 'Comparison: TTK vs Range', markers);
+}
+
+/**
+ * Initialize the duel simulator weapon pickers and inputs
+ */
+function initDuelSimulator(weapons) {
+    const selectA = document.getElementById('duelWeaponA');
+    const selectB = document.getElementById('duelWeaponB');
+    if (!selectA || !selectB || weapons.length === 0) return;
+
+    populateWeaponSelect(selectA, weapons);
+    populateWeaponSelect(selectB, weapons);
+    selectB.value = weapons[Math.min(1, weapons.length - 1)].Weapon;
+
+    ['duelWeaponA', 'duelWeaponB', 'duelAccuracyA', 'duelAccuracyB'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateDuelSimulator);
+    });
+
+    ['duelReactionA', 'duelReactionB', 'duelOffset'].forEach(id => {
+        document.getElementById(id).addEventListener('input', debounce(updateDuelSimulator, 300));
+    });
+
+    const distance = document.getElementById('duelDistance');
+    distance.addEventListener('input', () => {
+        document.getElementById('duelDistanceValue').textContent = distance.value;
+    });
+    distance.addEventListener('change', updateDuelSimulator);
+
+    updateDuelSimulator();
+}
+
+/**
+ * Read a duel player's accuracy profile and reaction time
+ */
+function getDuelPlayer(key) {
+    const accuracy = document.getElementById(`duelAccuracy${key}`).value;
+    const reactionTime = parseInt(document.getElementById(`duelReaction${key}`).value, 10);
+    return {
+        accuracy: accuracy === 'recoil' ? 'recoil' : Number(accuracy),
+        reactionTime: isNaN(reactionTime) ? DEFAULT_DUEL_PLAYER.reactionTime : Math.max(0, reactionTime)
+    };
+}
+
+/**
+ * Run the duel simulation and render the result cards and distance chart
+ */
+function updateDuelSimulator() {
+    const result = document.getElementById('duelResult');
+    const selectA = document.getElementById('duelWeaponA');
+    const selectB = document.getElementById('duelWeaponB');
+    if (!result || !selectA || !selectB) return;
+
+    const weapons = [getWeaponByName(selectA.value), getWeaponByName(selectB.value)];
+    if (!weapons[0] || !weapons[1]) return;
+
+    const distance = parseInt(document.getElementById('duelDistance').value, 10) || 20;
+    const offset = parseInt(document.getElementById('duelOffset').value, 10);
+    const options = getTTKOptions({
+        players: [getDuelPlayer('A'), getDuelPlayer('B')],
+        firstShotOffset: isNaN(offset) ? 0 : offset
+    });
+
+    // updateVisualization calls this on every filter or range change; only rerun when an input changed
+    const key = JSON.stringify([weapons, distance, options]);
+    if (key === duelSimulationKey) return;
+    duelSimulationKey = key;
+
+    const duel = simulateDuel(weapons[0], weapons[1], { ...options, distance });
+    if (!duel) {
+        result.innerHTML = '<p>Neither weapon can kill this target at this distance.</p>';
+    } else {
+        const winner = duel.players[0].winProbability === duel.players[1].winProbability
+            ? -1
+            : (duel.players[0].winProbability > duel.players[1].winProbability ? 0 : 1);
+        const cards = duel.players.map((player, i) => `
+            <div class="stat-card${i === winner ? ' duel-winner' : ''}">
+                <span class="stat-label">Player ${i === 0 ? 'A' : 'B'}: ${escapeHTML(player.weapon.Weapon)}</span>
+                <span class="stat-value">${Math.round(player.winProbability * 100)}%</span>
+                <small>Hit chance ${Math.round(player.hitProbability * 100)}% · STK ${formatNumber(player.requiredHits)} · median kill ${formatNumber(player.medianKillTime)}ms</small>
+            </div>
+        `);
+        cards.push(`
+            <div class="stat-card">
+                <span class="stat-label">Winner Margin</span>
+                <span class="stat-value">${duel.margin !== null ? `${formatNumber(duel.margin)}ms` : 'N/A'}</span>
+                <small>Average lead of the winning kill · trades ${Math.round(duel.tradeProbability * 100)}%</small>
+            </div>
+        `);
+        result.innerHTML = cards.join('');
+    }
+
+    // The distance curve uses fewer runs per point to keep the panel responsive
+    const curve = simulateDuelByDistance(weapons[0], weapons[1], { ...options, runs: 500 });
+    createDuelChart(curve, weapons, distance, 'duelChart');
 }
 
 /**
@@ -669,11 +3623,17 @@ if (document.readyState === 'loading') {
 // Export for debugging purposes
 if (typeof window !== 'undefined') {
     window.app = {
-        currentFilters,
+        // currentFilters is reassigned on reset and URL loads, so read it live
+        get currentFilters() {
+            return currentFilters;
+        },
         updateVisualization,
         getAllWeapons,
         getFilteredData,
         getWeaponByName,
-        compareWeapons
+        compareWeapons,
+        compareWeaponList,
+        applyAttachments,
+        findAlternatives
     };
 }
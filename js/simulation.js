@@ -0,0 +1,252 @@
+/**
+ * Simulation Module for Battlefield 6 TTK Analysis
+ * Seeded Monte Carlo engine for hit/miss based TTK distributions
+ */
+
+// Simulation defaults
+const DEFAULT_SIMULATION_RUNS = 2000;
+const DEFAULT_SIMULATION_SEED = 1337;
+const MAX_SIMULATED_SHOTS = 1000; // Safety cap per trigger pull sequence
+const DUEL_DISTANCES = [5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100];
+const DEFAULT_DUEL_PLAYER = { accuracy: 'recoil', reactionTime: 250 };
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed = DEFAULT_SIMULATION_SEED) {
+    let state = (Number(seed) || 0) >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Get a percentile from sorted values (nearest-rank)
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} percentile - 0..100
+ * @returns {number|null} Value at the percentile
+ */
+function getPercentile(sorted, percentile) {
+    if (!sorted || sorted.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Simulate the number of shots fired until a required number of hits land
+ * @param {number} requiredHits - Hits needed to kill
+ * @param {number} hitProbability - Chance each shot hits (0..1)
+ * @param {Function} random - Random number generator from createRandom
+ * @returns {number} Shots fired (capped at MAX_SIMULATED_SHOTS)
+ */
+function simulateShotsToKill(requiredHits, hitProbability, random) {
+    let hits = 0;
+    let shots = 0;
+    while (hits < requiredHits && shots < MAX_SIMULATED_SHOTS) {
+        shots++;
+        if (random() < hitProbability) {
+            hits++;
+        }
+    }
+    return shots;
+}
+
+/**
+ * Run a seeded Monte Carlo simulation of recoil-adjusted TTK
+ * Every trial fires shots until shots-to-kill hits land; each shot hits with the
+ * probability from Precision, Control, range and recoil impact (getRecoilHitProbability).
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {Object} options - Same options as calculateWeaponTTK, plus { runs, seed }
+ * @returns {Object|null} { median, p10, p90, mean, hitProbability, requiredHits, runs, seed, distribution }
+ *   where distribution is [{ shots, ttk, count, probability }] sorted by shots
+ */
+function simulateRecoilTTK(weapon, range, options = {}) {
+    const requiredHits = calculateWeaponSTK(weapon, range, options);
+    if (requiredHits == null || !weapon.RPM) {
+        return null;
+    }
+
+    const runs = Math.max(1, Math.round(options.runs || DEFAULT_SIMULATION_RUNS));
+    const seed = options.seed != null ? options.seed : DEFAULT_SIMULATION_SEED;
+    const hitProbability = getRecoilHitProbability(weapon.Precision, weapon.Control, range, weapon['Weapon Type'], options.recoilImpact || 4);
+    const random = createRandom(seed);
+    const timeBetweenShots = 60000 / weapon.RPM;
+    const toTTK = shots => {
+        const ttk = Math.round((shots - 1) * timeBetweenShots * 10) / 10;
+        return ttk === 0 ? 1 : ttk; // Same 1ms minimum as calculateTTK
+    };
+
+    // Count how often each shot total occurs
+    const counts = new Map();
+    const samples = [];
+    for (let i = 0; i < runs; i++) {
+        const shots = simulateShotsToKill(requiredHits, hitProbability, random);
+        counts.set(shots, (counts.get(shots) || 0) + 1);
+        samples.push(shots);
+    }
+    samples.sort((a, b) => a - b);
+
+    const distribution = [...counts.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([shots, count]) => ({
+            shots,
+            ttk: toTTK(shots),
+            count,
+            probability: count / runs
+        }));
+
+    const meanShots = samples.reduce((sum, shots) => sum + shots, 0) / runs;
+
+    return {
+        median: toTTK(getPercentile(samples, 50)),
+        p10: toTTK(getPercentile(samples, 10)),
+        p90: toTTK(getPercentile(samples, 90)),
+        mean: Math.round((meanShots - 1) * timeBetweenShots * 10) / 10,
+        hitProbability,
+        requiredHits,
+        runs,
+        seed,
+        distribution
+    };
+}
+
+/**
+ * Get a duel player's chance to hit each shot
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {string|number} accuracy - 'recoil' (weapon Precision/Control) or a fixed hit chance in percent
+ * @param {number} recoilImpact - Recoil impact level used by the 'recoil' profile
+ * @returns {number} Probability 0.05..1
+ */
+function getDuelHitProbability(weapon, range, accuracy = 'recoil', recoilImpact = 4) {
+    if (accuracy === 'recoil') {
+        return getRecoilHitProbability(weapon.Precision, weapon.Control, range, weapon['Weapon Type'], recoilImpact);
+    }
+    const percent = Number(accuracy);
+    return isNaN(percent) ? 1 : Math.min(1, Math.max(0.05, percent / 100));
+}
+
+/**
+ * Simulate a duel between two players who spot each other at the same moment
+ * Each player starts shooting after their reaction time (Player B is delayed by
+ * firstShotOffset, so a negative offset delays Player A) and fires until their
+ * shots-to-kill hits land. The player whose killing shot lands first wins; equal
+ * times are counted as a trade.
+ * @param {Object} weaponA - Player A's weapon
+ * @param {Object} weaponB - Player B's weapon
+ * @param {Object} options - Same options as calculateWeaponTTK, plus
+ *   { distance, players: [{ accuracy, reactionTime }, { accuracy, reactionTime }], firstShotOffset, runs, seed }
+ * @returns {Object|null} { distance, runs, seed, players: [{ weapon, winProbability, medianKillTime, hitProbability, requiredHits }],
+ *   tradeProbability, margin } or null when neither weapon can kill
+ */
+function simulateDuel(weaponA, weaponB, options = {}) {
+    const distance = options.distance != null ? options.distance : 20;
+    const runs = Math.max(1, Math.round(options.runs || DEFAULT_SIMULATION_RUNS));
+    const seed = options.seed != null ? options.seed : DEFAULT_SIMULATION_SEED;
+    const offset = Number(options.firstShotOffset) || 0;
+    const playerOptions = options.players || [];
+
+    const players = [weaponA, weaponB].map((weapon, i) => {
+        const player = { ...DEFAULT_DUEL_PLAYER, ...(playerOptions[i] || {}) };
+        const requiredHits = weapon ? calculateWeaponSTK(weapon, distance, options) : null;
+        const canKill = requiredHits != null && weapon.RPM > 0;
+        return {
+            weapon,
+            canKill,
+            requiredHits,
+            hitProbability: canKill ? getDuelHitProbability(weapon, distance, player.accuracy, options.recoilImpact || 4) : 0,
+            timeBetweenShots: canKill ? 60000 / weapon.RPM : 0,
+            // Player B is delayed by a positive offset, Player A by a negative one
+            start: Math.max(0, Number(player.reactionTime) || 0) + (i === 0 ? Math.max(0, -offset) : Math.max(0, offset)),
+            random: createRandom(seed + i),
+            killTimes: []
+        };
+    });
+
+    if (!players[0].canKill && !players[1].canKill) {
+        return null;
+    }
+
+    const wins = [0, 0];
+    let trades = 0;
+    let marginTotal = 0;
+    let marginRuns = 0;
+    for (let run = 0; run < runs; run++) {
+        const times = players.map(player => {
+            if (!player.canKill) return Infinity;
+            const shots = simulateShotsToKill(player.requiredHits, player.hitProbability, player.random);
+            const time = player.start + (shots - 1) * player.timeBetweenShots;
+            player.killTimes.push(time);
+            return time;
+        });
+
+        if (times[0] === times[1]) {
+            trades++;
+        } else {
+            const winner = times[0] < times[1] ? 0 : 1;
+            wins[winner]++;
+            // No margin exists against a player who cannot kill at this distance
+            if (isFinite(times[1 - winner])) {
+                marginTotal += Math.abs(times[0] - times[1]);
+                marginRuns++;
+            }
+        }
+    }
+
+    return {
+        distance,
+        runs,
+        seed,
+        players: players.map((player, i) => {
+            const median = getPercentile(player.killTimes.sort((a, b) => a - b), 50);
+            return {
+                weapon: player.weapon,
+                winProbability: wins[i] / runs,
+                medianKillTime: median != null ? Math.round(median * 10) / 10 : null,
+                hitProbability: player.hitProbability,
+                requiredHits: player.requiredHits
+            };
+        }),
+        tradeProbability: trades / runs,
+        margin: marginRuns > 0 ? Math.round((marginTotal / marginRuns) * 10) / 10 : null
+    };
+}
+
+/**
+ * Simulate the same duel at several distances
+ * @param {Object} weaponA - Player A's weapon
+ * @param {Object} weaponB - Player B's weapon
+ * @param {Object} options - Same options as simulateDuel (distance is ignored)
+ * @param {Array<number>} distances - Distances in meters
+ * @returns {Array<Object>} simulateDuel results (null entries when neither weapon can kill)
+ */
+function simulateDuelByDistance(weaponA, weaponB, options = {}, distances = DUEL_DISTANCES) {
+    return distances.map(distance => simulateDuel(weaponA, weaponB, { ...options, distance }));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_SIMULATION_RUNS,
+        DEFAULT_SIMULATION_SEED,
+        MAX_SIMULATED_SHOTS,
+        DUEL_DISTANCES,
+        DEFAULT_DUEL_PLAYER,
+        createRandom,
+        getPercentile,
+        simulateShotsToKill,
+        simulateRecoilTTK,
+        getDuelHitProbability,
+        simulateDuel,
+        simulateDuelByDistance
+    };
+}
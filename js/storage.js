@@ -0,0 +1,110 @@
+/**
+ * Storage Module for Battlefield 6 TTK Analysis
+ * Small promise wrappers around IndexedDB for data that should survive a reload
+ * (imported weapon files, saved engagement profiles)
+ */
+
+const STORAGE_DB_NAME = 'bf6-ttk';
+const STORAGE_DB_VERSION = 2; // Bump when adding a store so existing databases get upgraded
+
+// Object stores created on first use (values are stored under explicit keys)
+const STORAGE_STORES = ['imports', 'profiles'];
+
+let storageDatabase = null; // Promise for the open database, shared by all calls
+
+/**
+ * Open (and create on first use) the app database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openStorage() {
+    if (storageDatabase) {
+        return storageDatabase;
+    }
+
+    storageDatabase = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            STORAGE_STORES.forEach(store => {
+                if (!request.result.objectStoreNames.contains(store)) {
+                    request.result.createObjectStore(store);
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again after a failure
+    storageDatabase.catch(() => {
+        storageDatabase = null;
+    });
+
+    return storageDatabase;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} store - Object store name (one of STORAGE_STORES)
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} action - Receives the IDBObjectStore and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runStorageRequest(store, mode, action) {
+    const db = await openStorage();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(store, mode);
+        const request = action(transaction.objectStore(store));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Read a stored value
+ * @param {string} store - Object store name
+ * @param {string} key - Value key
+ * @returns {Promise<*>} Stored value, or null when there is none
+ */
+async function readStoredValue(store, key) {
+    const value = await runStorageRequest(store, 'readonly', objectStore => objectStore.get(key));
+    return value === undefined ? null : value;
+}
+
+/**
+ * Store a value, replacing any previous value under the same key
+ * @param {string} store - Object store name
+ * @param {string} key - Value key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+async function writeStoredValue(store, key, value) {
+    await runStorageRequest(store, 'readwrite', objectStore => objectStore.put(value, key));
+}
+
+/**
+ * Delete a stored value
+ * @param {string} store - Object store name
+ * @param {string} key - Value key
+ * @returns {Promise<void>}
+ */
+async function deleteStoredValue(store, key) {
+    await runStorageRequest(store, 'readwrite', objectStore => objectStore.delete(key));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORAGE_DB_NAME,
+        STORAGE_STORES,
+        openStorage,
+        readStoredValue,
+        writeStoredValue,
+        deleteStoredValue
+    };
+}
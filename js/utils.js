@@ -6,10 +6,118 @@
 // Constants
 const PLAYER_HEALTH = 100;
 const RANGES = ['10M', '20M', '35M', '50M', '70M'];
+const RANGE_DISTANCES = { '10M': 10, '20M': 20, '35M': 35, '50M': 50, '70M': 70 };
+const MAX_DISTANCE = 100; // Furthest distance (meters) queried by the distance slider and curves
+const FALLOFF_MODES = ['step', 'linear'];
+const HIT_ZONES = ['head', 'torso', 'limb'];
+
+// Fallback hit zone multipliers per weapon type, used when the CSV leaves Head/Limb empty
+const DEFAULT_HIT_MULTIPLIERS = {
+    'ASSAULT RIFLE': { head: 1.5, limb: 0.9 },
+    'CARBINE': { head: 1.5, limb: 0.9 },
+    'SMG': { head: 1.5, limb: 0.9 },
+    'LMG': { head: 1.5, limb: 0.9 },
+    'DMR': { head: 1.8, limb: 0.9 },
+    'SNIPER RIFLE': { head: 2.0, limb: 0.9 },
+    'SHOTGUN': { head: 1.25, limb: 0.9 },
+    'PISTOL': { head: 1.5, limb: 0.9 }
+};
+
+// Default hit distribution in percent (head / torso / limb)
+const DEFAULT_HIT_DISTRIBUTION = { head: 20, torso: 70, limb: 10 };
+
+// Target profiles: health pool, damage reduction and regen-free overheal
+// percentReduction is applied first, then flatReduction is subtracted per hit
+const TARGET_PROFILES = {
+    'standard': { label: 'Standard (100 HP)', health: PLAYER_HEALTH, flatReduction: 0, percentReduction: 0, overheal: 0 },
+    'hardcore': { label: 'Hardcore (60 HP)', health: 60, flatReduction: 0, percentReduction: 0, overheal: 0 },
+    'overheal': { label: 'Overheal (+25 HP)', health: PLAYER_HEALTH, flatReduction: 0, percentReduction: 0, overheal: 25 },
+    'light-armor': { label: 'Light Armor (-15%)', health: PLAYER_HEALTH, flatReduction: 0, percentReduction: 15, overheal: 0 },
+    'plated': { label: 'Plated (-2 per hit)', health: PLAYER_HEALTH, flatReduction: 2, percentReduction: 0, overheal: 0 },
+    'heavy-armor': { label: 'Heavy Armor (-30%, -2 per hit)', health: PLAYER_HEALTH, flatReduction: 2, percentReduction: 30, overheal: 0 }
+};
+const DEFAULT_TARGET_PROFILE = 'standard';
+
+// Target profile used when a calculation is not given one explicitly
+let activeTargetProfile = TARGET_PROFILES[DEFAULT_TARGET_PROFILE];
+
+// Engagement distance bands (meters, min exclusive / max inclusive) used by engagement profiles
+const ENGAGEMENT_BANDS = [
+    { id: '0-10', min: 0, max: 10 },
+    { id: '10-20', min: 10, max: 20 },
+    { id: '20-35', min: 20, max: 35 },
+    { id: '35-50', min: 35, max: 50 },
+    { id: '50-70', min: 50, max: 70 },
+    { id: '70-100', min: 70, max: 100 }
+];
+
+// Built-in engagement profiles: percentage of fights in each of ENGAGEMENT_BANDS
+const ENGAGEMENT_PROFILES = {
+    'urban': { label: 'Urban (60% under 20m)', shares: [35, 25, 20, 12, 6, 2] },
+    'mixed': { label: 'Mixed', shares: [15, 20, 25, 20, 12, 8] },
+    'open': { label: 'Open (long sightlines)', shares: [5, 10, 20, 25, 25, 15] }
+};
+const DEFAULT_ENGAGEMENT_PROFILE = 'mixed';
+
+/**
+ * Get the distance in meters for a range key or distance
+ * @param {string|number} range - Range key (e.g., '10M') or distance in meters
+ * @returns {number|null} Distance in meters
+ */
+function getRangeDistance(range) {
+    if (typeof range === 'number') {
+        return isNaN(range) ? null : range;
+    }
+    if (RANGE_DISTANCES[range] != null) {
+        return RANGE_DISTANCES[range];
+    }
+    const parsed = parseFloat(range);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Format a range key or distance for display
+ * @param {string|number} range - Range key (e.g., '10M') or distance in meters
+ * @returns {string} Label such as '27m'
+ */
+function formatRangeLabel(range) {
+    const distance = getRangeDistance(range);
+    return distance === null ? String(range) : `${distance}m`;
+}
+
+/**
+ * Interpolate a value between sampled distances
+ * Values before the first sample or after the last one are clamped.
+ * @param {Array<Object>} samples - [{ distance, value }] sorted by distance
+ * @param {number} distance - Distance in meters
+ * @param {string} mode - 'step' holds each sample until the next one; 'linear' interpolates
+ * @returns {number|null} Interpolated value
+ */
+function interpolateSamples(samples, distance, mode = 'step') {
+    if (samples.length === 0 || distance === null) {
+        return null;
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    if (distance <= first.distance) return first.value;
+    if (distance >= last.distance) return last.value;
+
+    const upperIndex = samples.findIndex(s => s.distance > distance);
+    const lower = samples[upperIndex - 1];
+    const upper = samples[upperIndex];
+
+    if (mode !== 'linear') {
+        return lower.value;
+    }
+
+    const t = (distance - lower.distance) / (upper.distance - lower.distance);
+    return Math.round((lower.value + (upper.value - lower.value) * t) * 100) / 100;
+}
 
 /**
  * Get accuracy multiplier by range (to reduce hit chance at distance)
- * @param {string} range - e.g., '10M'
+ * @param {string|number} range - e.g., '10M', or a distance in meters (interpolated)
  * @returns {number} multiplier in [0,1]
  */
 function getRangeAccuracyMultiplier(range) {
@@ -20,7 +128,125 @@ function getRangeAccuracyMultiplier(range) {
         '50M': 0.85,
         '70M': 0.8
     };
-    return map[range] != null ? map[range] : 1.0;
+    if (map[range] != null) {
+        return map[range];
+    }
+
+    const distance = getRangeDistance(range);
+    if (distance === null) {
+        return 1.0;
+    }
+
+    const samples = RANGES.map(r => ({ distance: RANGE_DISTANCES[r], value: map[r] }));
+    return interpolateSamples(samples, distance, 'linear');
+}
+
+/**
+ * Get damage at an arbitrary distance from the sampled ranges
+ * @param {Object} weapon - Weapon data object
+ * @param {number} distance - Distance in meters
+ * @param {string} mode - 'step' (damage changes at the sampled distance) or 'linear'
+ * @returns {number|null} Damage per shot
+ */
+function getDamageAtDistance(weapon, distance, mode = 'step') {
+    const samples = RANGES
+        .filter(range => weapon[range] !== null && weapon[range] !== undefined)
+        .map(range => ({ distance: RANGE_DISTANCES[range], value: weapon[range] }));
+
+    return interpolateSamples(samples, distance, mode);
+}
+
+/**
+ * Get damage for a range key or distance
+ * Range keys return the sampled CSV value as-is; distances use the falloff model.
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - Range key (e.g., '10M') or distance in meters
+ * @param {string} mode - Falloff mode for distances ('step' | 'linear')
+ * @returns {number|null} Damage per shot
+ */
+function getWeaponDamageAt(weapon, range, mode = 'step') {
+    if (RANGES.includes(range)) {
+        return weapon[range];
+    }
+    return getDamageAtDistance(weapon, getRangeDistance(range), mode);
+}
+
+/**
+ * Build a damage vs distance curve from 0m to maxDistance
+ * @param {Object} weapon - Weapon data object
+ * @param {string} mode - 'step' | 'linear'
+ * @param {number} maxDistance - Last distance on the curve
+ * @returns {Object} { x: distances, y: damages, sampled: whether each point is a CSV sample }
+ */
+function getDamageCurve(weapon, mode = 'step', maxDistance = MAX_DISTANCE) {
+    const sampledDistances = RANGES
+        .filter(range => weapon[range] !== null && weapon[range] !== undefined)
+        .map(range => RANGE_DISTANCES[range]);
+    const distances = [...new Set([0, ...sampledDistances, maxDistance])].sort((a, b) => a - b);
+
+    return {
+        x: distances,
+        y: distances.map(d => getDamageAtDistance(weapon, d, mode)),
+        sampled: distances.map(d => sampledDistances.includes(d))
+    };
+}
+
+/**
+ * Resolve a target profile from a preset key or a profile object
+ * Missing fields fall back to the standard profile.
+ * @param {string|Object} target - Key of TARGET_PROFILES, profile object, or empty for the active profile
+ * @returns {Object} { label, health, flatReduction, percentReduction, overheal }
+ */
+function getTargetProfile(target) {
+    if (target == null || target === '') {
+        return activeTargetProfile;
+    }
+    if (typeof target === 'string') {
+        return TARGET_PROFILES[target] || TARGET_PROFILES[DEFAULT_TARGET_PROFILE];
+    }
+
+    const base = TARGET_PROFILES[DEFAULT_TARGET_PROFILE];
+    const number = (value, fallback) => (value == null || isNaN(Number(value)) ? fallback : Number(value));
+    return {
+        label: target.label || 'Custom',
+        health: Math.max(1, number(target.health, base.health)),
+        flatReduction: Math.max(0, number(target.flatReduction, 0)),
+        percentReduction: Math.min(100, Math.max(0, number(target.percentReduction, 0))),
+        overheal: Math.max(0, number(target.overheal, 0))
+    };
+}
+
+/**
+ * Set the target profile used by default in TTK/STK calculations
+ * @param {string|Object} target - Key of TARGET_PROFILES or profile object
+ * @returns {Object} The resolved active profile
+ */
+function setTargetProfile(target) {
+    activeTargetProfile = getTargetProfile(target || DEFAULT_TARGET_PROFILE);
+    return activeTargetProfile;
+}
+
+/**
+ * Get the total damage needed to kill a target (health plus overheal)
+ * @param {string|Object} target - Target profile (defaults to the active profile)
+ * @returns {number} Effective health
+ */
+function getTargetHealth(target) {
+    const profile = getTargetProfile(target);
+    return profile.health + profile.overheal;
+}
+
+/**
+ * Apply a target's damage reduction to the damage of a single hit
+ * @param {number} damage - Damage per shot
+ * @param {string|Object} target - Target profile (defaults to the active profile)
+ * @returns {number} Damage dealt after reduction (0 if fully absorbed)
+ */
+function getEffectiveDamage(damage, target) {
+    const profile = getTargetProfile(target);
+    const reduced = damage * (1 - profile.percentReduction / 100) - profile.flatReduction;
+    // Round to avoid floating point noise pushing damage across a shots-to-kill breakpoint
+    return Math.max(0, Math.round(reduced * 10000) / 10000);
 }
 
 /**
@@ -28,14 +254,18 @@ function getRangeAccuracyMultiplier(range) {
  * @param {number} damage - Damage per shot
  * @param {number} rpm - Rounds per minute
  * @param {number} adsTime - ADS time in milliseconds (optional)
+ * @param {string|Object} target - Target profile (defaults to the active profile)
  * @returns {number} TTK in milliseconds
  */
-function calculateTTK(damage, rpm, adsTime = 0) {
+function calculateTTK(damage, rpm, adsTime = 0, target) {
     if (!damage || !rpm || damage <= 0 || rpm <= 0) {
         return null;
     }
 
-    const shotsToKill = Math.ceil(PLAYER_HEALTH / damage);
+    const shotsToKill = calculateShotsToKill(damage, target);
+    if (shotsToKill == null) {
+        return null;
+    }
     const timeBetweenShots = 60000 / rpm; // Convert RPM to milliseconds
     const ttk = (shotsToKill - 1) * timeBetweenShots + (adsTime || 0);
 
@@ -51,23 +281,47 @@ function calculateTTK(damage, rpm, adsTime = 0) {
  * @param {number} rpm
  * @param {number} precision - 0..100
  * @param {number} control - 0..100
- * @param {string} range - one of RANGES
+ * @param {string|number} range - one of RANGES, or a distance in meters
+ * @param {string} weaponType
+ * @param {number} impactLevel - 1..5 (4 = baseline)
+ * @param {string|Object} target - Target profile (defaults to the active profile)
  * @returns {number|null}
  */
-function calculateRecoilAdjustedTTK(damage, rpm, precision = 100, control = 100, range = '10M', weaponType = '', impactLevel = 4) {
+function calculateRecoilAdjustedTTK(damage, rpm, precision = 100, control = 100, range = '10M', weaponType = '', impactLevel = 4, target) {
     if (!damage || !rpm || damage <= 0 || rpm <= 0) {
         return null;
     }
 
-    const requiredHits = Math.ceil(PLAYER_HEALTH / damage);
+    const requiredHits = calculateShotsToKill(damage, target);
+    if (requiredHits == null) {
+        return null;
+    }
+
+    // Snipers and shotguns are immune (p = 1, all shots land)
+    const p = getRecoilHitProbability(precision, control, range, weaponType, impactLevel);
 
+    // Use expected value for required shots (k/p) to reflect slider changes smoothly
+    const expectedShots = requiredHits / p;
+    const timeBetweenShots = 60000 / rpm;
+    const ttk = (expectedShots - 1) * timeBetweenShots; // no ADS
+    const finalTTK = Math.round(ttk * 10) / 10;
+    return finalTTK === 0 ? 1 : finalTTK;
+}
+
+/**
+ * Get the expected hit probability used by the Recoil Adjusted method
+ * @param {number} precision - 0..100
+ * @param {number} control - 0..100
+ * @param {string|number} range - one of RANGES, or a distance in meters
+ * @param {string} weaponType
+ * @param {number} impactLevel - 1..5 (4 = baseline)
+ * @returns {number} Probability 0.05..1 (1 for snipers and shotguns)
+ */
+function getRecoilHitProbability(precision = 100, control = 100, range = '10M', weaponType = '', impactLevel = 4) {
     // Snipers and shotguns are immune (assume all shots land)
     const type = (weaponType || '').toUpperCase();
     if (type === 'SNIPER RIFLE' || type === 'SHOTGUN') {
-        const timeBetweenShotsImmune = 60000 / rpm;
-        const ttkImmune = (requiredHits - 1) * timeBetweenShotsImmune; // no ADS
-        const finalImmune = Math.round(ttkImmune * 10) / 10;
-        return finalImmune === 0 ? 1 : finalImmune;
+        return 1;
     }
 
     let hitPct = (Number(precision) / 100) * (Number(control) / 100); // base probability 0..1
@@ -79,31 +333,420 @@ function calculateRecoilAdjustedTTK(damage, rpm, precision = 100, control = 100,
     hitPct = 1 - (1 - hitPct) * scale;
 
     // Minimal penalty at 10m: floor at 0.9
-    if (range === '10M') {
+    if (getRangeDistance(range) <= RANGE_DISTANCES['10M']) {
         hitPct = Math.max(hitPct, 0.9);
     }
 
     // Clamp probability to reasonable bounds
-    const p = Math.min(1, Math.max(0.05, hitPct));
-
-    // Use expected value for required shots (k/p) to reflect slider changes smoothly
-    const expectedShots = requiredHits / p;
-    const timeBetweenShots = 60000 / rpm;
-    const ttk = (expectedShots - 1) * timeBetweenShots; // no ADS
-    const finalTTK = Math.round(ttk * 10) / 10;
-    return finalTTK === 0 ? 1 : finalTTK;
+    return Math.min(1, Math.max(0.05, hitPct));
 }
 
 /**
  * Calculate shots required to kill
  * @param {number} damage - Damage per shot
- * @returns {number} Number of shots needed
+ * @param {string|Object} target - Target profile (defaults to the active profile)
+ * @returns {number} Number of shots needed (null if the target absorbs every hit)
  */
-function calculateShotsToKill(damage) {
+function calculateShotsToKill(damage, target) {
     if (!damage || damage <= 0) {
         return null;
     }
-    return Math.ceil(PLAYER_HEALTH / damage);
+    const effectiveDamage = getEffectiveDamage(damage, target);
+    if (effectiveDamage <= 0) {
+        return null;
+    }
+    return Math.ceil(getTargetHealth(target) / effectiveDamage);
+}
+
+/**
+ * Get head/torso/limb damage multipliers for a weapon
+ * Per-weapon CSV values take precedence over the weapon type defaults.
+ * @param {Object} weapon - Weapon data object
+ * @returns {Object} Multipliers keyed by hit zone
+ */
+function getHitMultipliers(weapon) {
+    const defaults = DEFAULT_HIT_MULTIPLIERS[weapon['Weapon Type']] || { head: 1, limb: 1 };
+    return {
+        head: weapon.Head != null ? weapon.Head : defaults.head,
+        torso: 1,
+        limb: weapon.Limb != null ? weapon.Limb : defaults.limb
+    };
+}
+
+/**
+ * Normalize a hit distribution so the shares sum to 1
+ * @param {Object} distribution - Shares keyed by hit zone (any scale, e.g. percent)
+ * @returns {Object} Fractions keyed by hit zone (body only if empty)
+ */
+function normalizeHitDistribution(distribution = DEFAULT_HIT_DISTRIBUTION) {
+    const shares = {};
+    HIT_ZONES.forEach(zone => {
+        const value = Number(distribution && distribution[zone]);
+        shares[zone] = isNaN(value) || value < 0 ? 0 : value;
+    });
+
+    const total = HIT_ZONES.reduce((sum, zone) => sum + shares[zone], 0);
+    if (total === 0) {
+        return { head: 0, torso: 1, limb: 0 };
+    }
+
+    HIT_ZONES.forEach(zone => {
+        shares[zone] = shares[zone] / total;
+    });
+    return shares;
+}
+
+/**
+ * Get the damage multiplier for a hit distribution case
+ * - optimal: every shot lands on the best zone present in the distribution
+ * - typical: expected multiplier weighted by the distribution
+ * - worst: every shot lands on the weakest zone present in the distribution
+ * @param {Object} weapon - Weapon data object
+ * @param {Object} distribution - Shares keyed by hit zone
+ * @param {string} hitCase - 'optimal' | 'typical' | 'worst'
+ * @returns {number} Damage multiplier
+ */
+function getHitCaseMultiplier(weapon, distribution, hitCase = 'typical') {
+    const multipliers = getHitMultipliers(weapon);
+    const shares = normalizeHitDistribution(distribution);
+    const usedZones = HIT_ZONES.filter(zone => shares[zone] > 0);
+    const usedMultipliers = usedZones.map(zone => multipliers[zone]);
+
+    let multiplier;
+    switch (hitCase) {
+        case 'optimal':
+            multiplier = Math.max(...usedMultipliers);
+            break;
+        case 'worst':
+            multiplier = Math.min(...usedMultipliers);
+            break;
+        default:
+            multiplier = usedZones.reduce((sum, zone) => sum + shares[zone] * multipliers[zone], 0);
+    }
+
+    // Round to avoid floating point noise pushing damage across a shots-to-kill breakpoint
+    return Math.round(multiplier * 10000) / 10000;
+}
+
+/**
+ * Get the damage multiplier implied by the selected hit model
+ * @param {Object} weapon - Weapon data object
+ * @param {Object} options - { hitModel: 'body' | 'distribution', hitDistribution, hitCase }
+ * @returns {number} Damage multiplier (1 for body shots only)
+ */
+function getHitModelMultiplier(weapon, options = {}) {
+    if (options.hitModel !== 'distribution') {
+        return 1;
+    }
+    return getHitCaseMultiplier(weapon, options.hitDistribution, options.hitCase);
+}
+
+/**
+ * Calculate TTK for a weapon at a range using the selected method and hit model
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {Object} options - { method: 'hip' | 'ads' | 'recoil', recoilImpact, hitModel, hitDistribution, hitCase, falloff, target }
+ * @returns {number|null} TTK in milliseconds
+ */
+function calculateWeaponTTK(weapon, range, options = {}) {
+    const damage = getWeaponDamageAt(weapon, range, options.falloff);
+    if (damage == null || weapon.RPM == null) {
+        return null;
+    }
+
+    const scaledDamage = damage * getHitModelMultiplier(weapon, options);
+    const method = options.method || 'hip';
+
+    if (method === 'recoil') {
+        return calculateRecoilAdjustedTTK(scaledDamage, weapon.RPM, weapon.Precision, weapon.Control, range, weapon['Weapon Type'], options.recoilImpact || 4, options.target);
+    }
+
+    const adsTime = method === 'ads' ? weapon.ADS : 0;
+    return calculateTTK(scaledDamage, weapon.RPM, adsTime, options.target);
+}
+
+/**
+ * Calculate shots to kill for a weapon at a range using the selected hit model
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {Object} options - { hitModel, hitDistribution, hitCase, falloff, target }
+ * @returns {number|null} Number of shots needed
+ */
+function calculateWeaponSTK(weapon, range, options = {}) {
+    const damage = getWeaponDamageAt(weapon, range, options.falloff);
+    if (damage == null) {
+        return null;
+    }
+    return calculateShotsToKill(damage * getHitModelMultiplier(weapon, options), options.target);
+}
+
+/**
+ * Calculate optimal, typical and worst-case STK/TTK for a hit distribution
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {Object} options - Same options as calculateWeaponTTK; hitModel is forced to 'distribution'
+ * @returns {Object} { optimal: {stk, ttk}, typical: {stk, ttk}, worst: {stk, ttk} }
+ */
+function calculateHitProfile(weapon, range, options = {}) {
+    const profile = {};
+    ['optimal', 'typical', 'worst'].forEach(hitCase => {
+        const caseOptions = { ...options, hitModel: 'distribution', hitCase };
+        profile[hitCase] = {
+            stk: calculateWeaponSTK(weapon, range, caseOptions),
+            ttk: calculateWeaponTTK(weapon, range, caseOptions)
+        };
+    });
+    return profile;
+}
+
+/**
+ * Find the distances where the faster of two weapons changes
+ * Distances where both TTKs are equal keep the previous leader.
+ * @param {Object} weaponA - Weapon data object
+ * @param {Object} weaponB - Weapon data object
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @param {number} maxDistance - Furthest distance (meters) to check, in 1m steps
+ * @returns {Array} [{ distance, leader }] where leader is 0 (weaponA) or 1 (weaponB) from that distance on
+ */
+function findTTKCrossovers(weaponA, weaponB, options = {}, maxDistance = MAX_DISTANCE) {
+    return findTTKCurveCrossovers(getTTKCurve(weaponA, options, maxDistance), getTTKCurve(weaponB, options, maxDistance));
+}
+
+/**
+ * Get a weapon's TTK at every meter from 1m
+ * @param {Object} weapon - Weapon data object
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @param {number} maxDistance - Furthest distance (meters)
+ * @returns {Array<number|null>} TTK in ms, where index 0 is 1m
+ */
+function getTTKCurve(weapon, options = {}, maxDistance = MAX_DISTANCE) {
+    const curve = [];
+    for (let distance = 1; distance <= maxDistance; distance++) {
+        curve.push(calculateWeaponTTK(weapon, distance, options));
+    }
+    return curve;
+}
+
+/**
+ * Find the distances where the faster of two TTK curves changes (see findTTKCrossovers)
+ * @param {Array<number|null>} curveA - Result of getTTKCurve
+ * @param {Array<number|null>} curveB - Result of getTTKCurve
+ * @returns {Array} [{ distance, leader }] where leader is 0 (curveA) or 1 (curveB) from that distance on
+ */
+function findTTKCurveCrossovers(curveA, curveB) {
+    const crossovers = [];
+    let previousLeader = null;
+
+    for (let index = 0; index < Math.min(curveA.length, curveB.length); index++) {
+        const ttkA = curveA[index];
+        const ttkB = curveB[index];
+        if (ttkA == null || ttkB == null || ttkA === ttkB) {
+            continue;
+        }
+
+        const leader = ttkA < ttkB ? 0 : 1;
+        if (previousLeader !== null && leader !== previousLeader) {
+            crossovers.push({ distance: index + 1, leader });
+        }
+        previousLeader = leader;
+    }
+
+    return crossovers;
+}
+
+/**
+ * Find the distances where a weapon's shots-to-kill changes
+ * With Step falloff the changes fall on the sampled ranges, matching the STK_* fields;
+ * Linear falloff and hit distributions can move them in between.
+ * @param {Object} weapon - Weapon data object
+ * @param {Object} options - Same options as calculateWeaponSTK
+ * @param {number} maxDistance - Furthest distance (meters) to check, in 1m steps
+ * @returns {Array} [{ distance, from, to }] where the weapon needs `to` shots instead of `from` from that distance on
+ */
+function findSTKBreakpoints(weapon, options = {}, maxDistance = MAX_DISTANCE) {
+    const breakpoints = [];
+    let previous = null;
+
+    for (let distance = 1; distance <= maxDistance; distance++) {
+        const stk = calculateWeaponSTK(weapon, distance, options);
+        if (stk == null) {
+            continue;
+        }
+        if (previous !== null && stk !== previous) {
+            breakpoints.push({ distance, from: previous, to: stk });
+        }
+        previous = stk;
+    }
+
+    return breakpoints;
+}
+
+/**
+ * Scale engagement band shares to fractions that add up to 1
+ * @param {Array<number>} shares - Share of fights for each of ENGAGEMENT_BANDS (any scale)
+ * @returns {Array<number>|null} Fractions, or null when no band has a positive share
+ */
+function normalizeEngagementShares(shares = []) {
+    const values = ENGAGEMENT_BANDS.map((band, index) => Math.max(0, Number(shares[index]) || 0));
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return total > 0 ? values.map(value => value / total) : null;
+}
+
+/**
+ * Calculate the expected TTK over an engagement distance distribution
+ * Each band's TTK is the average over every whole meter in the band (so it follows the falloff mode),
+ * and the expected TTK is the share-weighted average of the bands.
+ * @param {Object} weapon - Weapon data object
+ * @param {Array<number>} shares - Share of fights for each of ENGAGEMENT_BANDS (any scale)
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {Object|null} { ttk, bands: [{ id, share, ttk }] }, or null when a band with fights has no TTK
+ */
+function calculateExpectedTTK(weapon, shares, options = {}) {
+    const fractions = normalizeEngagementShares(shares);
+    if (!fractions) return null;
+
+    const bands = ENGAGEMENT_BANDS.map((band, index) => {
+        if (fractions[index] === 0) {
+            return { id: band.id, share: 0, ttk: null };
+        }
+        const ttks = [];
+        for (let distance = band.min + 1; distance <= band.max; distance++) {
+            ttks.push(calculateWeaponTTK(weapon, distance, options));
+        }
+        const ttk = ttks.includes(null) ? null : ttks.reduce((sum, value) => sum + value, 0) / ttks.length;
+        return { id: band.id, share: fractions[index], ttk };
+    });
+
+    if (bands.some(band => band.share > 0 && band.ttk === null)) {
+        return null;
+    }
+
+    const ttk = bands.reduce((sum, band) => sum + (band.share > 0 ? band.share * band.ttk : 0), 0);
+    return { ttk: Math.round(ttk * 10) / 10, bands };
+}
+
+/**
+ * Get the shots fired per kill for the selected method
+ * Recoil Adjusted uses the expected number of shots (STK / hit probability).
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {number|null} Shots per kill (may be fractional for Recoil Adjusted)
+ */
+function getShotsPerKill(weapon, range, options = {}) {
+    const stk = calculateWeaponSTK(weapon, range, options);
+    if (stk == null) {
+        return null;
+    }
+    if (options.method === 'recoil') {
+        return stk / getRecoilHitProbability(weapon.Precision, weapon.Control, range, weapon['Weapon Type'], options.recoilImpact || 4);
+    }
+    return stk;
+}
+
+/**
+ * Get the reload time of a weapon
+ * Falls back to the other reload type when only one is known.
+ * @param {Object} weapon - Weapon data object
+ * @param {boolean} empty - Empty reload (true) or tactical reload with rounds left (false)
+ * @returns {number|null} Reload time in milliseconds
+ */
+function getReloadTime(weapon, empty = false) {
+    const primary = empty ? weapon['Reload Empty'] : weapon.Reload;
+    const fallback = empty ? weapon.Reload : weapon['Reload Empty'];
+    return primary != null ? primary : (fallback != null ? fallback : null);
+}
+
+/**
+ * Calculate how many kills a full magazine can finish
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {number|null} Kills per magazine (0 if a single kill needs more than one magazine)
+ */
+function calculateKillsPerMag(weapon, range, options = {}) {
+    const shotsPerKill = getShotsPerKill(weapon, range, options);
+    if (!weapon.Mag || shotsPerKill == null) {
+        return null;
+    }
+    return Math.floor(weapon.Mag / shotsPerKill);
+}
+
+/**
+ * Calculate the time to kill several enemies in a row, including reloads
+ * - If a magazine holds at least one kill, the player reloads between kills once the
+ *   rounds left cannot finish another kill (tactical reload, or empty if none are left).
+ * - Otherwise the player fires until empty, reloads and keeps shooting the same enemy.
+ * Target switching time is not modelled; ADS time is added once for the ADS method.
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @param {number} enemies - Number of enemies to kill
+ * @param {Object} options - Same options as calculateWeaponTTK
+ * @returns {Object|null} { time (ms), reloads, killsPerMag } or null without mag/reload data
+ */
+function calculateMultiKillTime(weapon, range, enemies = 2, options = {}) {
+    const shotsPerKill = getShotsPerKill(weapon, range, options);
+    const killsPerMag = calculateKillsPerMag(weapon, range, options);
+    if (shotsPerKill == null || killsPerMag == null || !weapon.RPM || enemies < 1) {
+        return null;
+    }
+
+    const totalShots = enemies * shotsPerKill;
+    let reloads;
+    let reloadTime;
+    if (killsPerMag > 0) {
+        reloads = Math.ceil(enemies / killsPerMag) - 1;
+        reloadTime = getReloadTime(weapon, weapon.Mag - killsPerMag * shotsPerKill <= 0);
+    } else {
+        reloads = Math.ceil(totalShots / weapon.Mag) - 1;
+        reloadTime = getReloadTime(weapon, true);
+    }
+
+    if (reloads > 0 && reloadTime == null) {
+        return null;
+    }
+
+    // The first shot after a reload fires as soon as the reload finishes
+    const timeBetweenShots = 60000 / weapon.RPM;
+    const adsTime = options.method === 'ads' ? (weapon.ADS || 0) : 0;
+    const time = (totalShots - 1 - reloads) * timeBetweenShots + reloads * reloadTime + adsTime;
+
+    return {
+        time: Math.max(1, Math.round(time * 10) / 10),
+        reloads,
+        killsPerMag
+    };
+}
+
+/**
+ * Calculate burst DPS from damage per shot and fire rate
+ * @param {number} damage - Damage per shot
+ * @param {number} rpm - Rounds per minute
+ * @returns {number|null} Damage per second (damage × RPM / 60), or null when either is missing
+ */
+function calculateDPS(damage, rpm) {
+    if (damage == null || !rpm) {
+        return null;
+    }
+    return Math.round((damage * rpm / 60) * 10) / 10;
+}
+
+/**
+ * Calculate sustained DPS over a full magazine and an empty reload
+ * Equals the burst DPS (damage × RPM / 60) when the reload time is 0.
+ * @param {Object} weapon - Weapon data object
+ * @param {string|number} range - One of RANGES, or a distance in meters
+ * @returns {number|null} Sustained damage per second
+ */
+function calculateSustainedDPS(weapon, range = '10M') {
+    const damage = getWeaponDamageAt(weapon, range);
+    const reloadTime = getReloadTime(weapon, true);
+    if (damage == null || !weapon.RPM || !weapon.Mag || reloadTime == null) {
+        return null;
+    }
+
+    const cycleTime = weapon.Mag * (60000 / weapon.RPM) + reloadTime;
+    return Math.round(damage * weapon.Mag * 1000 / cycleTime);
 }
 
 /**
@@ -155,6 +798,21 @@ function formatNumber(num) {
     return num.toLocaleString();
 }
 
+/**
+ * Escape text for use in HTML markup or a quoted attribute value
+ * Use for every string that comes from data files, imports or the manifest before it goes into innerHTML.
+ * @param {*} value - Text to escape (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Get best weapon at specific range based on TTK
  * @param {Array} weapons - Array of weapon objects
@@ -234,8 +892,8 @@ function sortWeapons(weapons, sortBy = 'ttk', range = '10M') {
                 return (bValue || 0) - (aValue || 0);
 
             case 'dps':
-                aValue = parseFloat(a.DPS);
-                bValue = parseFloat(b.DPS);
+                aValue = parseFloat(a[`DPS_${range}`] != null ? a[`DPS_${range}`] : a.DPS);
+                bValue = parseFloat(b[`DPS_${range}`] != null ? b[`DPS_${range}`] : b.DPS);
                 return (bValue || 0) - (aValue || 0);
 
             default:
@@ -277,37 +935,68 @@ function searchWeapons(weapons, searchTerm) {
 
 /**
  * Export data to CSV format
- * @param {Array} weapons - Array of weapon objects
+ * @param {Array} weapons - Array of weapon objects (or export rows)
+ * @param {Array<string>} columns - Columns to include, in order (defaults to the keys of the first object)
  * @returns {string} CSV formatted string
  */
-function exportToCSV(weapons) {
+function exportToCSV(weapons, columns = null) {
     if (weapons.length === 0) return '';
 
-    const headers = Object.keys(weapons[0]);
-    const csvRows = [headers.join(',')];
+    const headers = columns || Object.keys(weapons[0]);
+    const escape = value => {
+        // Escape values containing commas, quotes or line breaks
+        if (typeof value === 'string' && /[",\r\n]/.test(value)) {
+            return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value == null ? '' : value;
+    };
+    const csvRows = [headers.map(escape).join(',')];
 
     weapons.forEach(weapon => {
-        const values = headers.map(header => {
-            const value = weapon[header];
-            // Escape values containing commas or quotes
-            if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-                return `"${value.replace(/"/g, '""')}"`;
-            }
-            return value;
-        });
-        csvRows.push(values.join(','));
+        csvRows.push(headers.map(header => escape(weapon[header])).join(','));
     });
 
     return csvRows.join('\n');
 }
 
+/**
+ * Export rows as a Markdown table (for Reddit/Discord posts)
+ * Numeric columns are right-aligned; empty values are shown as '—'.
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @param {Array<string>} columns - Columns to include (defaults to the keys of the first row)
+ * @returns {string} Markdown table
+ */
+function exportToMarkdown(rows, columns = null) {
+    if (rows.length === 0) return '';
+
+    const headers = columns || Object.keys(rows[0]);
+    const cell = value => (value == null || value === '' ? '—' : String(value).replace(/\|/g, '\\|').replace(/\n/g, ' '));
+    const numeric = headers.map(header => rows.every(row => row[header] == null || typeof row[header] === 'number'));
+
+    return [
+        `| ${headers.map(cell).join(' | ')} |`,
+        `| ${numeric.map(isNumeric => (isNumeric ? '---:' : '---')).join(' | ')} |`,
+        ...rows.map(row => `| ${headers.map(header => cell(row[header])).join(' | ')} |`)
+    ].join('\n');
+}
+
 /**
  * Download data as CSV file
  * @param {string} csvContent - CSV formatted string
  * @param {string} filename - Desired filename
  */
 function downloadCSV(csvContent, filename = 'battlefield6_ttk_data.csv') {
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Download text content as a file
+ * @param {string} content - File contents
+ * @param {string} filename - Download file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type = 'text/plain;charset=utf-8;') {
+    const blob = new Blob([content], { type });
     const link = document.createElement('a');
     const url = URL.createObjectURL(blob);
 
@@ -341,6 +1030,20 @@ function getWeaponStatistics(weapons) {
     };
 }
 
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Numbers (null/NaN entries are ignored)
+ * @returns {number|null} Median value
+ */
+function getMedian(values) {
+    const sorted = values.filter(v => v !== null && v !== undefined && !isNaN(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return null;
+    }
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
 /**
  * Debounce function for performance optimization
  * @param {Function} func - Function to debounce
@@ -364,11 +1067,23 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         PLAYER_HEALTH,
         RANGES,
+        RANGE_DISTANCES,
+        MAX_DISTANCE,
+        FALLOFF_MODES,
+        HIT_ZONES,
+        DEFAULT_HIT_MULTIPLIERS,
+        DEFAULT_HIT_DISTRIBUTION,
+        TARGET_PROFILES,
+        DEFAULT_TARGET_PROFILE,
+        ENGAGEMENT_BANDS,
+        ENGAGEMENT_PROFILES,
+        DEFAULT_ENGAGEMENT_PROFILE,
         calculateTTK,
         calculateShotsToKill,
         isWeaponDataComplete,
         getWeaponTypeColor,
         formatNumber,
+        escapeHTML,
         getBestWeaponAtRange,
         getAverageDamage,
         getDamageDropoff,
@@ -376,10 +1091,43 @@ if (typeof module !== 'undefined' && module.exports) {
         filterWeaponsByType,
         searchWeapons,
         exportToCSV,
+        exportToMarkdown,
         downloadCSV,
+        downloadFile,
         getWeaponStatistics,
         debounce,
+        getMedian,
         getRangeAccuracyMultiplier,
-        calculateRecoilAdjustedTTK
+        getRangeDistance,
+        formatRangeLabel,
+        interpolateSamples,
+        getDamageAtDistance,
+        getWeaponDamageAt,
+        getDamageCurve,
+        calculateRecoilAdjustedTTK,
+        getHitMultipliers,
+        normalizeHitDistribution,
+        getHitCaseMultiplier,
+        getHitModelMultiplier,
+        calculateWeaponTTK,
+        calculateWeaponSTK,
+        calculateHitProfile,
+        findTTKCrossovers,
+        getTTKCurve,
+        findTTKCurveCrossovers,
+        findSTKBreakpoints,
+        normalizeEngagementShares,
+        calculateExpectedTTK,
+        getTargetProfile,
+        setTargetProfile,
+        getTargetHealth,
+        getEffectiveDamage,
+        getRecoilHitProbability,
+        getShotsPerKill,
+        getReloadTime,
+        calculateKillsPerMag,
+        calculateMultiKillTime,
+        calculateDPS,
+        calculateSustainedDPS
     };
 }
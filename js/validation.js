@@ -0,0 +1,200 @@
+/**
+ * Data Validation Module for Battlefield 6 TTK Analysis
+ * Checks raw ttk.csv rows and builds the data health report
+ * (used by the Data Health panel and scripts/validate-data.js)
+ */
+
+// Weapon types offered by the Weapon Type filter
+const KNOWN_WEAPON_TYPES = ['ASSAULT RIFLE', 'CARBINE', 'SMG', 'LMG', 'DMR', 'SNIPER RIFLE', 'SHOTGUN', 'PISTOL'];
+
+// Columns every weapon needs for damage, TTK and DPS
+const REQUIRED_WEAPON_COLUMNS = ['Weapon Type', 'Weapon', ...RANGES, 'RPM', 'DPS', 'ADS'];
+
+// Columns that must hold numbers when they are filled in
+const NUMERIC_WEAPON_COLUMNS = [...RANGES, 'RPM', 'DPS', 'ADS', 'Precision', 'Control', 'Head', 'Limb', 'Mag', 'Reload', 'Reload Empty'];
+
+// Allowed difference between the DPS column and 10m damage × RPM / 60 (the larger one applies)
+const DPS_TOLERANCE = { absolute: 1, relative: 0.02 };
+
+// Checks run by validateWeaponRows, in report order
+const VALIDATION_CHECKS = {
+    'parse-error': { label: 'CSV parse errors', severity: 'error' },
+    'missing-column': { label: 'Missing columns', severity: 'error' },
+    'invalid-number': { label: 'Invalid numbers', severity: 'error' },
+    'duplicate-name': { label: 'Duplicate weapon names', severity: 'error' },
+    'unknown-type': { label: 'Unknown weapon types', severity: 'error' },
+    'stat-range': { label: 'Precision/Control out of range (0–100)', severity: 'error' },
+    'missing-field': { label: 'Missing values', severity: 'warning' },
+    'falloff': { label: 'Damage increases with range', severity: 'warning' },
+    'dps': { label: 'DPS does not match damage × RPM / 60', severity: 'warning' }
+};
+
+/**
+ * Read a raw CSV value as a number
+ * @param {*} value - Raw cell value
+ * @returns {number|null} Number, or null when the cell is blank or not a number
+ */
+function readValidationNumber(value) {
+    const text = String(value == null ? '' : value).trim();
+    if (text === '' || isNaN(Number(text))) {
+        return null;
+    }
+    return Number(text);
+}
+
+/**
+ * Check whether a reported DPS differs from the DPS derived from damage and RPM
+ * @param {number|null} reported - DPS from the CSV
+ * @param {number|null} derived - Damage × RPM / 60
+ * @returns {boolean} True when both are known and differ by more than DPS_TOLERANCE
+ */
+function isDPSMismatch(reported, derived) {
+    if (reported == null || derived == null) {
+        return false;
+    }
+    return Math.abs(reported - derived) > Math.max(DPS_TOLERANCE.absolute, derived * DPS_TOLERANCE.relative);
+}
+
+/**
+ * Validate raw weapon rows (Papa Parse results with header: true)
+ * @param {Array<Object>} rows - Raw CSV rows keyed by column name
+ * @param {Object} options - { columns: header fields, parseErrors: Papa Parse errors }
+ * @returns {Object} { rows, issues: [{ check, severity, row, weapon, field, message }], summary: { errors, warnings, checks } }
+ *   where row is the 1-based data row (the header is not counted) and checks maps check id to issue count
+ */
+function validateWeaponRows(rows, options = {}) {
+    const issues = [];
+    const addIssue = (check, row, weapon, field, message) => {
+        issues.push({ check, severity: VALIDATION_CHECKS[check].severity, row, weapon, field, message });
+    };
+
+    (options.parseErrors || []).forEach(error => {
+        const row = error.row != null ? error.row + 1 : null;
+        addIssue('parse-error', row, '', '', error.message);
+    });
+
+    const columns = options.columns || (rows[0] ? Object.keys(rows[0]) : []);
+    REQUIRED_WEAPON_COLUMNS.filter(column => !columns.includes(column)).forEach(column => {
+        addIssue('missing-column', null, '', column, `Column "${column}" is missing from the header`);
+    });
+
+    const seenNames = new Map();
+
+    rows.forEach((raw, index) => {
+        const row = index + 1;
+        const weapon = String(raw['Weapon'] || '').trim();
+        const type = String(raw['Weapon Type'] || '').trim();
+
+        // Blank rows are skipped by processWeaponData
+        if (!weapon && !type) return;
+
+        const missing = REQUIRED_WEAPON_COLUMNS.filter(column =>
+            columns.includes(column) && String(raw[column] == null ? '' : raw[column]).trim() === ''
+        );
+        if (missing.length > 0) {
+            addIssue('missing-field', row, weapon, missing.join(', '), `Missing ${missing.join(', ')}`);
+        }
+
+        NUMERIC_WEAPON_COLUMNS.forEach(column => {
+            const value = String(raw[column] == null ? '' : raw[column]).trim();
+            if (value !== '' && readValidationNumber(value) === null) {
+                addIssue('invalid-number', row, weapon, column, `"${value}" is not a number (read as blank)`);
+            }
+        });
+
+        if (weapon) {
+            const key = weapon.toLowerCase();
+            if (seenNames.has(key)) {
+                addIssue('duplicate-name', row, weapon, 'Weapon', `Same name as row ${seenNames.get(key)}`);
+            } else {
+                seenNames.set(key, row);
+            }
+        }
+
+        if (type && !KNOWN_WEAPON_TYPES.includes(type)) {
+            addIssue('unknown-type', row, weapon, 'Weapon Type', `Unknown weapon type "${type}"`);
+        }
+
+        ['Precision', 'Control'].forEach(column => {
+            const value = readValidationNumber(raw[column]);
+            if (value !== null && (value < 0 || value > 100)) {
+                addIssue('stat-range', row, weapon, column, `${column} ${value} is outside 0–100`);
+            }
+        });
+
+        // Damage should never go up with distance
+        const damages = RANGES
+            .map(range => ({ range, damage: readValidationNumber(raw[range]) }))
+            .filter(sample => sample.damage !== null);
+        for (let i = 1; i < damages.length; i++) {
+            if (damages[i].damage > damages[i - 1].damage) {
+                addIssue('falloff', row, weapon, damages[i].range,
+                    `Damage rises from ${damages[i - 1].damage} at ${damages[i - 1].range} to ${damages[i].damage} at ${damages[i].range}`);
+            }
+        }
+
+        const damage = readValidationNumber(raw['10M']);
+        const rpm = readValidationNumber(raw['RPM']);
+        const dps = readValidationNumber(raw['DPS']);
+        if (damage !== null && rpm !== null && dps !== null) {
+            const expected = (damage * rpm) / 60;
+            if (isDPSMismatch(dps, expected)) {
+                addIssue('dps', row, weapon, 'DPS', `DPS ${dps} but 10M damage × RPM / 60 = ${Math.round(expected * 10) / 10}`);
+            }
+        }
+    });
+
+    const checks = {};
+    Object.keys(VALIDATION_CHECKS).forEach(check => {
+        checks[check] = issues.filter(issue => issue.check === check).length;
+    });
+
+    return {
+        rows: rows.length,
+        issues,
+        summary: {
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length,
+            checks
+        }
+    };
+}
+
+/**
+ * Format a validation report as plain text lines
+ * @param {Object} report - Report from validateWeaponRows
+ * @returns {string} Report text
+ */
+function formatValidationReport(report) {
+    const lines = [
+        `${report.rows} rows checked: ${report.summary.errors} error(s), ${report.summary.warnings} warning(s)`
+    ];
+
+    Object.entries(VALIDATION_CHECKS).forEach(([check, info]) => {
+        const issues = report.issues.filter(issue => issue.check === check);
+        if (issues.length === 0) return;
+
+        lines.push('', `${info.severity.toUpperCase()} ${info.label} (${issues.length})`);
+        issues.forEach(issue => {
+            const where = [issue.row != null ? `row ${issue.row}` : '', issue.weapon].filter(Boolean).join(' ');
+            lines.push(`  ${where ? `${where}: ` : ''}${issue.message}`);
+        });
+    });
+
+    return lines.join('\n');
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KNOWN_WEAPON_TYPES,
+        REQUIRED_WEAPON_COLUMNS,
+        NUMERIC_WEAPON_COLUMNS,
+        DPS_TOLERANCE,
+        VALIDATION_CHECKS,
+        readValidationNumber,
+        isDPSMismatch,
+        validateWeaponRows,
+        formatValidationReport
+    };
+}
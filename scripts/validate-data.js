@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Validate weapon data without a browser
+ * Runs the same checks as the in-app Data Health panel (js/validation.js).
+ * The page loads Papa Parse from a CDN; to keep this script dependency-free it parses the CSV
+ * with parseCSV below, which follows Papa Parse for the files this repo reads (see its notes).
+ *
+ * Usage: node scripts/validate-data.js [path/to/ttk.csv] [--json]
+ * Exits with code 1 when the report contains errors (warnings alone pass).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The browser loads the modules as plain scripts sharing globals; mirror that for validation.js
+Object.assign(global, require('../js/utils.js'));
+const { validateWeaponRows, formatValidationReport } = require('../js/validation.js');
+
+/**
+ * Parse CSV text with a header row, like Papa Parse with { header: true, skipEmptyLines: true }
+ * Supports quoted fields with commas, newlines and doubled quotes. A quote only opens a quoted field
+ * at the start of the field; elsewhere it is kept as text. Duplicate header names are renamed
+ * (Name, Name_1, ...), missing fields are left out of the row and extra fields go to __parsed_extra.
+ * Papa Parse's delimiter and line ending detection is not reproduced: fields are always split on
+ * commas and any of \n, \r\n or \r ends a line, so its UndetectableDelimiter warning never appears,
+ * files that mix line endings can differ, and an unterminated quote may be reported on another row.
+ * @param {string} text - CSV text
+ * @returns {Object} { data, errors: [{ type, code, message, row }], meta: { fields } }
+ */
+function parseCSV(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let fieldStart = true;
+
+    // Papa Parse drops a leading byte order mark
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+        if (char === '"' && fieldStart) {
+            inQuotes = true;
+            fieldStart = false;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+            fieldStart = true;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+            fieldStart = true;
+        } else {
+            field += char;
+            fieldStart = false;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // skipEmptyLines: true only skips lines with nothing on them (a line of commas is a row of blanks)
+    const [header = [], ...rows] = records.filter(row => row.length > 1 || row[0] !== '');
+    const counts = {};
+    const fields = header.map(name => {
+        if (!(name in counts)) {
+            counts[name] = 0;
+            return name;
+        }
+        counts[name]++;
+        return `${name}_${counts[name]}`;
+    });
+
+    const errors = [];
+    const data = rows.map((values, row) => {
+        if (values.length !== fields.length) {
+            const tooFew = values.length < fields.length;
+            errors.push({
+                type: 'FieldMismatch',
+                code: tooFew ? 'TooFewFields' : 'TooManyFields',
+                message: `Too ${tooFew ? 'few' : 'many'} fields: expected ${fields.length} fields but parsed ${values.length}`,
+                row
+            });
+        }
+        const item = {};
+        values.slice(0, fields.length).forEach((value, i) => {
+            item[fields[i]] = value;
+        });
+        if (values.length > fields.length) {
+            item.__parsed_extra = values.slice(fields.length);
+        }
+        return item;
+    });
+
+    if (inQuotes) {
+        errors.push({ type: 'Quotes', code: 'MissingQuotes', message: 'Quoted field unterminated', row: data.length - 1 });
+    }
+
+    return { data, errors, meta: { fields } };
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const json = args.includes('--json');
+    const file = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'data', 'ttk.csv');
+
+    const results = parseCSV(fs.readFileSync(file, 'utf8'));
+    const report = validateWeaponRows(results.data, { columns: results.meta.fields, parseErrors: results.errors });
+
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`${path.relative(process.cwd(), file) || file}\n${formatValidationReport(report)}`);
+    }
+
+    process.exitCode = report.summary.errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseCSV };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWeapons } = require('./helpers.js');
+
+const weapons = loadWeapons();
+const m433 = weapons.find(weapon => weapon.Weapon === 'M433');
+const sgx = weapons.find(weapon => weapon.Weapon === 'SGX');
+const perfect = [{ accuracy: 100, reactionTime: 0 }, { accuracy: 100, reactionTime: 0 }];
+
+test('simulateDuel with perfect aim is decided by TTK', () => {
+    const duel = simulateDuel(m433, sgx, { distance: 20, runs: 200, players: perfect });
+
+    assert.deepStrictEqual(duel.players.map(player => player.winProbability), [1, 0]);
+    assert.deepStrictEqual(duel.players.map(player => player.medianKillTime), [calculateWeaponTTK(m433, 20), calculateWeaponTTK(sgx, 20)]);
+    assert.strictEqual(duel.margin, Math.round((calculateWeaponTTK(sgx, 20) - calculateWeaponTTK(m433, 20)) * 10) / 10);
+    assert.strictEqual(duel.tradeProbability, 0);
+});
+
+test('simulateDuel counts equal kill times as trades', () => {
+    const duel = simulateDuel(m433, m433, { distance: 20, runs: 100, players: perfect });
+    assert.strictEqual(duel.tradeProbability, 1);
+    assert.strictEqual(duel.margin, null);
+});
+
+test('simulateDuel delays Player B by a positive first shot offset and Player A by a negative one', () => {
+    const offset = calculateWeaponTTK(sgx, 20);
+    const ahead = simulateDuel(sgx, m433, { distance: 20, runs: 100, players: perfect, firstShotOffset: offset });
+    const behind = simulateDuel(sgx, m433, { distance: 20, runs: 100, players: perfect, firstShotOffset: -offset });
+
+    assert.strictEqual(ahead.players[0].winProbability, 1);
+    assert.strictEqual(behind.players[1].winProbability, 1);
+});
+
+test('simulateDuel is repeatable for a seed and splits mirror matches evenly', () => {
+    const options = { distance: 20, runs: 2000, seed: 11 };
+    const duel = simulateDuel(m433, m433, options);
+
+    assert.deepStrictEqual(simulateDuel(m433, m433, options), duel);
+    const [a, b] = duel.players.map(player => player.winProbability);
+    assert.ok(Math.abs(a - b) < 0.05);
+    assert.ok(Math.abs(a + b + duel.tradeProbability - 1) < 1e-9);
+});
+
+test('simulateDuel gives every win to the only player who can kill', () => {
+    const harmless = { ...sgx, Weapon: 'Harmless', RPM: 0 };
+    const duel = simulateDuel(harmless, m433, { distance: 20, runs: 100 });
+
+    assert.deepStrictEqual(duel.players.map(player => player.winProbability), [0, 1]);
+    assert.strictEqual(duel.margin, null);
+    assert.strictEqual(simulateDuel(harmless, harmless, { distance: 20 }), null);
+});
+
+test('simulateDuelByDistance runs one duel per distance', () => {
+    const duels = simulateDuelByDistance(m433, sgx, { runs: 50 }, [10, 50]);
+    assert.deepStrictEqual(duels.map(duel => duel.distance), [10, 50]);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCSV } = require('../scripts/validate-data.js');
+require('./helpers.js');
+
+test('exportToCSV quotes fields with commas, quotes and line breaks', () => {
+    const rows = [
+        { Weapon: 'M4, A1', Notes: 'say "hi"' },
+        { Weapon: 'SGX', Notes: 'line 1\nline 2' },
+        { Weapon: 'KV9', Notes: 'line 1\r\nline 2' },
+        { Weapon: 'M433', Notes: 'old\rMac' }
+    ];
+    const csv = exportToCSV(rows);
+
+    assert.strictEqual(csv.split('\n')[1], '"M4, A1","say ""hi"""');
+    assert.deepStrictEqual(parseCSV(csv).data, rows);
+});
+
+test('exportToCSV writes the chosen columns in order and blanks missing values', () => {
+    const csv = exportToCSV([{ Weapon: 'M433', RPM: 830, ADS: null }], ['RPM', 'Weapon', 'ADS']);
+    assert.strictEqual(csv, 'RPM,Weapon,ADS\n830,M433,');
+    assert.strictEqual(exportToCSV([]), '');
+});
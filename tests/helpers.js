@@ -0,0 +1,34 @@
+/**
+ * Shared setup for the Node tests
+ * Loads the browser modules and reads the bundled CSV files without a browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The page loads js/*.js as plain scripts sharing globals; mirror that, in load order
+['utils', 'validation', 'data', 'simulation'].forEach(name => {
+    Object.assign(global, require(`../js/${name}.js`));
+});
+
+const { parseCSV } = require('../scripts/validate-data.js');
+
+/**
+ * Parse a CSV file from the repository
+ * @param {string} file - Path relative to the repository root
+ * @returns {Object} parseCSV results ({ data, errors, meta })
+ */
+function readCSV(file) {
+    return parseCSV(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+}
+
+/**
+ * Load weapons from a CSV file the way the page does
+ * @param {string} file - Path relative to the repository root
+ * @returns {Array} Processed weapons
+ */
+function loadWeapons(file = 'data/ttk.csv') {
+    return processWeaponData(readCSV(file).data);
+}
+
+module.exports = { readCSV, loadWeapons };
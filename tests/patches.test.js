@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readCSV, loadWeapons } = require('./helpers.js');
+
+// An older patch made from ttk.csv: M433 hit softer, B36A4 aimed slower and fired faster, OLDGUN was cut
+function loadOlderPatch() {
+    const rows = readCSV('data/ttk.csv').data.map(row => ({ ...row }));
+    const row = name => rows.find(r => r.Weapon === name);
+    row('M433')['10M'] = '20';
+    row('B36A4').ADS = String(Number(row('B36A4').ADS) + 50);
+    row('B36A4').RPM = String(Number(row('B36A4').RPM) + 100);
+    rows.push({ ...rows[0], Weapon: 'OLDGUN' });
+    return processWeaponData(rows.filter(r => r.Weapon !== 'SGX'));
+}
+
+test('diffPatches classes each weapon by its stat changes', () => {
+    const diff = diffPatches(loadOlderPatch(), loadWeapons());
+    const entry = name => diff.weapons.find(weapon => weapon.weapon === name);
+
+    assert.strictEqual(entry('M433').status, 'buffed');
+    assert.deepStrictEqual(entry('M433').changes.map(change => [change.field, change.from, change.to, change.effect]), [['10M', 20, 25, 'buff']]);
+    assert.strictEqual(entry('B36A4').status, 'mixed');
+    assert.deepStrictEqual(entry('B36A4').changes.map(change => [change.field, change.delta, change.effect]), [['RPM', -100, 'nerf'], ['ADS', -50, 'buff']]);
+    assert.strictEqual(entry('SGX').status, 'added');
+    assert.strictEqual(entry('OLDGUN').status, 'removed');
+    assert.strictEqual(diff.weapons[diff.weapons.length - 1].weapon, 'OLDGUN');
+
+    const { summary } = diff;
+    assert.deepStrictEqual([summary.buffed, summary.nerfed, summary.mixed, summary.added, summary.removed], [1, 0, 1, 1, 1]);
+    assert.strictEqual(summary.unchanged, diff.weapons.length - 4);
+});
+
+test('diffPatches reports TTK deltas and rank movement at the ranking range', () => {
+    const diff = diffPatches(loadOlderPatch(), loadWeapons(), { range: '10M' });
+    const m433 = diff.weapons.find(weapon => weapon.weapon === 'M433');
+
+    assert.strictEqual(diff.range, '10M');
+    assert.ok(m433.focus.delta < 0);
+    assert.deepStrictEqual(m433.focus, m433.ttk['10M']);
+    assert.strictEqual(m433.ttk['70M'].delta, 0);
+    assert.ok(m433.rank.change > 0);
+    assert.strictEqual(m433.rank.change, m433.rank.from - m433.rank.to);
+
+    const added = diff.weapons.find(weapon => weapon.weapon === 'SGX');
+    assert.strictEqual(added.rank.from, null);
+    assert.strictEqual(added.rank.change, null);
+    assert.strictEqual(added.focus.delta, null);
+});
+
+test('diffPatches of a patch with itself changes nothing', () => {
+    const weapons = loadWeapons();
+    const diff = diffPatches(weapons, weapons);
+    assert.strictEqual(diff.summary.unchanged, weapons.length);
+    assert.ok(diff.weapons.every(weapon => weapon.rank.change === 0 && weapon.focus.delta === 0));
+});
+
+test('processPatchManifest drops bad entries and lists dated patches oldest first, undated ones last', () => {
+    const patches = processPatchManifest({
+        patches: [
+            { id: 'current', name: 'Current', file: 'data/ttk.csv' },
+            { id: 'launch', name: 'Launch', date: '2025-10-10', file: 'a.csv' },
+            { id: 'beta', name: 'Beta', date: '2025-08-14', file: 'b.csv' },
+            { id: 'beta', name: 'Beta again', date: '2025-01-01', file: 'c.csv' },
+            { id: 'nofile', name: 'No file', date: '2025-01-01' }
+        ]
+    });
+    assert.deepStrictEqual(patches.map(patch => patch.id), ['beta', 'launch', 'current']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWeapons } = require('./helpers.js');
+
+const weapons = loadWeapons();
+const fields = getQueryFields(weapons);
+
+function search(query, options = {}) {
+    const { terms, errors } = parseWeaponQuery(query, fields);
+    return { errors, names: weapons.filter(weapon => matchesWeaponQuery(weapon, terms, options)).map(weapon => weapon.Weapon) };
+}
+
+test('getQueryFields names per-range fields after the table columns', () => {
+    ['type', 'name', 'rpm', 'ads', 'damage@20m', 'ttk@20m', 'stk@50m'].forEach(name => {
+        assert.ok(fields[name], `missing field ${name}`);
+    });
+    assert.strictEqual(fields.type.text, true);
+    assert.strictEqual(fields.rpm.text, false);
+});
+
+test('combined conditions must all match', () => {
+    assert.deepStrictEqual(search('type:smg rpm>800 ttk@20m<300'), { errors: [], names: ['SGX', 'KV9'] });
+});
+
+test('text fields support contains, equals and does-not-contain', () => {
+    assert.deepStrictEqual(search('name=m433').names, ['M433']);
+    assert.ok(search('type:"sniper rifle"').names.length > 0);
+    const rifles = weapons.filter(weapon => /rifle/i.test(weapon['Weapon Type'])).map(weapon => weapon.Weapon);
+    assert.deepStrictEqual(search('type!=rifle').names, weapons.map(weapon => weapon.Weapon).filter(name => !rifles.includes(name)));
+});
+
+test('plain words search names and types', () => {
+    assert.deepStrictEqual(search('m4').names, ['M433', 'M4A1', 'M417 A2', 'M45A1', 'M44']);
+    assert.strictEqual(search('SMG').names.length, search('type:smg').names.length);
+});
+
+test('numeric comparisons use the given TTK options', () => {
+    const hip = search('ttk@50m<400').names;
+    const armored = search('ttk@50m<400', { target: 'heavy-armor' }).names;
+    assert.ok(armored.length < hip.length);
+});
+
+test('errors point at the part of the query that is wrong', () => {
+    const cases = [
+        ['rpm>800 foo>3', { start: 8, end: 11, message: 'Unknown field "foo"' }],
+        ['rpm>fast', { start: 4, end: 8, message: 'Expected a number for "rpm"' }],
+        ['type:"smg', { start: 0, end: 9, message: 'Missing closing quote' }],
+        ['rpm>', { start: 0, end: 4, message: 'Missing value after "rpm>"' }],
+        ['type<3', { start: 0, end: 6, message: '"type" is text; use type:value' }]
+    ];
+    cases.forEach(([query, error]) => {
+        assert.deepStrictEqual(parseWeaponQuery(query, fields).errors, [error], query);
+    });
+});
+
+test('terms with errors are left out instead of failing the whole query', () => {
+    const { terms, errors } = parseWeaponQuery('type:smg foo>3', fields);
+    assert.strictEqual(errors.length, 1);
+    assert.deepStrictEqual(terms.map(term => term.field.name), ['type']);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWeapons } = require('./helpers.js');
+
+const weapons = loadWeapons();
+const byName = name => weapons.find(weapon => weapon.Weapon === name);
+
+test('getSimilarityVector scales each stat to 0–1 over the weapons', () => {
+    const scales = getSimilarityScales(weapons);
+    assert.deepStrictEqual(scales.map(scale => scale.field), SIMILARITY_FEATURES.map(feature => feature.field));
+
+    const vectors = weapons.map(weapon => getSimilarityVector(weapon, scales));
+    scales.forEach((scale, index) => {
+        const values = vectors.map(vector => vector[index]).filter(value => value !== null);
+        assert.strictEqual(Math.min(...values), 0, scale.field);
+        assert.strictEqual(Math.max(...values), 1, scale.field);
+    });
+});
+
+test('getSimilarWeapons returns the closest weapons first, without the weapon itself', () => {
+    const weapon = byName('M433');
+    const similar = getSimilarWeapons(weapon, weapons, { limit: 10 });
+
+    assert.strictEqual(similar.length, 10);
+    assert.ok(!similar.some(entry => entry.weapon === 'M433'));
+    assert.ok(similar.every((entry, i) => i === 0 || similar[i - 1].distance <= entry.distance));
+    similar.forEach(entry => {
+        assert.strictEqual(entry.similarity, Math.round((1 - entry.distance) * 1000) / 10);
+    });
+});
+
+test('getSimilarWeapons finds an identical copy at distance 0 and reports stat differences', () => {
+    const weapon = byName('M433');
+    const copy = { ...weapon, Weapon: 'M433 copy' };
+    const faster = { ...weapon, Weapon: 'M433 fast', RPM: weapon.RPM + 100 };
+    const [first, second] = getSimilarWeapons(weapon, [...weapons, copy, faster]);
+
+    assert.deepStrictEqual([first.weapon, first.distance, first.similarity], ['M433 copy', 0, 100]);
+    assert.ok(first.differences.every(difference => difference.delta === 0));
+    assert.strictEqual(second.weapon, 'M433 fast');
+    assert.strictEqual(second.differences.find(difference => difference.field === 'rpm').delta, 100);
+});
+
+test('getSimilarWeapons keeps distances the same whatever the scope', () => {
+    const weapon = byName('M433');
+    const type = weapon['Weapon Type'];
+    const all = getSimilarWeapons(weapon, weapons, { limit: weapons.length });
+    const same = getSimilarWeapons(weapon, weapons, { limit: weapons.length, scope: 'same' });
+    const other = getSimilarWeapons(weapon, weapons, { limit: weapons.length, scope: 'other' });
+
+    assert.ok(same.length > 0 && same.every(entry => entry.type === type));
+    assert.ok(other.length > 0 && other.every(entry => entry.type !== type));
+    assert.strictEqual(same.length + other.length, all.length);
+    same.forEach(entry => {
+        assert.strictEqual(entry.distance, all.find(match => match.weapon === entry.weapon).distance);
+    });
+});
+
+test('getSimilarWeapons compares only the stats both weapons have', () => {
+    const weapon = { ...byName('M433'), Precision: null, Control: null };
+    const similar = getSimilarWeapons(weapon, weapons, { limit: 3 });
+
+    assert.strictEqual(similar.length, 3);
+    similar.forEach(entry => {
+        assert.strictEqual(entry.differences.find(difference => difference.field === 'precision').delta, null);
+    });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWeapons } = require('./helpers.js');
+
+const weapons = loadWeapons();
+const byName = name => weapons.find(weapon => weapon.Weapon === name);
+
+test('createRandom repeats the same sequence for a seed', () => {
+    const take = random => Array.from({ length: 5 }, () => random());
+    const first = take(createRandom(42));
+
+    assert.deepStrictEqual(take(createRandom(42)), first);
+    assert.notDeepStrictEqual(take(createRandom(43)), first);
+    assert.ok(take(createRandom(7)).every(value => value >= 0 && value < 1));
+});
+
+test('getPercentile uses the nearest rank', () => {
+    const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    assert.strictEqual(getPercentile(sorted, 50), 50);
+    assert.strictEqual(getPercentile(sorted, 10), 10);
+    assert.strictEqual(getPercentile(sorted, 90), 90);
+    assert.strictEqual(getPercentile(sorted, 0), 10);
+    assert.strictEqual(getPercentile([], 50), null);
+});
+
+test('simulateShotsToKill needs no extra shots at 100% accuracy and stops at the cap', () => {
+    assert.strictEqual(simulateShotsToKill(4, 1, createRandom()), 4);
+    assert.strictEqual(simulateShotsToKill(4, 0, createRandom()), MAX_SIMULATED_SHOTS);
+});
+
+test('simulateRecoilTTK gives the same result for the same seed', () => {
+    const weapon = byName('M433');
+    const first = simulateRecoilTTK(weapon, '20M', { runs: 500, seed: 7 });
+
+    assert.deepStrictEqual(simulateRecoilTTK(weapon, '20M', { runs: 500, seed: 7 }), first);
+    assert.notDeepStrictEqual(simulateRecoilTTK(weapon, '20M', { runs: 500, seed: 8 }).distribution, first.distribution);
+    assert.strictEqual(first.seed, 7);
+    assert.strictEqual(first.runs, 500);
+});
+
+test('simulateRecoilTTK spreads around the expected number of shots', () => {
+    const weapon = byName('M433');
+    const result = simulateRecoilTTK(weapon, '20M', { runs: 4000 });
+    const timeBetweenShots = 60000 / weapon.RPM;
+    const expectedShots = result.requiredHits / result.hitProbability;
+
+    assert.strictEqual(result.requiredHits, calculateWeaponSTK(weapon, '20M'));
+    assert.ok(result.p10 <= result.median && result.median <= result.p90);
+    assert.ok(result.distribution[0].shots >= result.requiredHits);
+    assert.ok(Math.abs(result.distribution.reduce((sum, entry) => sum + entry.probability, 0) - 1) < 1e-9);
+    assert.strictEqual(result.distribution.reduce((sum, entry) => sum + entry.count, 0), 4000);
+    // The mean of a negative binomial is hits / p; 4000 runs land well within 5%
+    assert.ok(Math.abs(result.mean - (expectedShots - 1) * timeBetweenShots) < 0.05 * expectedShots * timeBetweenShots);
+});
+
+test('simulateRecoilTTK returns null for a weapon that cannot kill', () => {
+    assert.strictEqual(simulateRecoilTTK({ ...byName('M433'), RPM: null }, '20M'), null);
+});
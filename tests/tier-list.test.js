@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWeapons } = require('./helpers.js');
+
+const weapons = loadWeapons();
+
+test('getPercentileRank puts the best value at 100 and shares ties', () => {
+    assert.strictEqual(getPercentileRank([1, 2, 3, 4, 5], 5), 100);
+    assert.strictEqual(getPercentileRank([1, 2, 3, 4, 5], 1), 0);
+    assert.strictEqual(getPercentileRank([1, 2, 3, 4, 5], 1, 'lower'), 100);
+    assert.strictEqual(getPercentileRank([1, 2, 2, 3], 2), 50);
+    assert.strictEqual(getPercentileRank([3, null, 1], 3), 100);
+    assert.strictEqual(getPercentileRank([7], 7), 100);
+});
+
+test('scoreWeapons scores a single factor as its percentile', () => {
+    const group = weapons.slice(0, 5);
+    const ads = group.map(weapon => weapon.ADS);
+    const scores = scoreWeapons(group, { ads: 1 });
+
+    assert.strictEqual(scores.length, group.length);
+    scores.forEach(entry => {
+        const weapon = group.find(w => w.Weapon === entry.weapon);
+        const expected = Math.round(getPercentileRank(ads, weapon.ADS, 'lower') * 10) / 10;
+        assert.strictEqual(entry.score, expected, entry.weapon);
+        assert.deepStrictEqual(entry.breakdown.map(part => [part.field, part.weight]), [['ads', 100]]);
+    });
+    assert.ok(scores.every((entry, i) => i === 0 || scores[i - 1].score >= entry.score));
+});
+
+test('scoreWeapons splits points by weight and scales up when a value is missing', () => {
+    const group = weapons.slice(0, 6).map(weapon => ({ ...weapon }));
+    group[0].Precision = null;
+    const scores = scoreWeapons(group, { ads: 1, precision: 3 });
+
+    const partial = scores.find(entry => entry.weapon === group[0].Weapon);
+    assert.deepStrictEqual(partial.breakdown.map(part => [part.field, part.weight]), [['ads', 100]]);
+
+    const full = scores.find(entry => entry.weapon === group[1].Weapon);
+    assert.deepStrictEqual(full.breakdown.map(part => [part.field, part.weight]), [['ads', 25], ['precision', 75]]);
+    const points = full.breakdown.reduce((sum, part) => sum + part.points, 0);
+    assert.ok(Math.abs(full.score - points) < 0.1);
+});
+
+test('scoreWeapons leaves out weapons with no weighted values and assigns tiers by score', () => {
+    const group = weapons.slice(0, 4).map(weapon => ({ ...weapon }));
+    group[0].Precision = null;
+    const scores = scoreWeapons(group, { precision: 1 });
+
+    assert.strictEqual(scores.length, 3);
+    assert.ok(!scores.some(entry => entry.weapon === group[0].Weapon));
+    scores.forEach(entry => assert.strictEqual(entry.tier, getTierForScore(entry.score)));
+    assert.strictEqual(getTierForScore(100), 'S');
+    assert.strictEqual(getTierForScore(0), 'D');
+});
+
+test('buildTierList per type only ranks weapons against their own type', () => {
+    const groups = buildTierList(weapons, TIER_PRESETS.close.weights, { groupBy: 'type' });
+    groups.forEach(({ group, scores }) => {
+        assert.ok(scores.every(entry => entry.type === group));
+        assert.ok(scores.every(entry => entry.score >= 0 && entry.score <= 100));
+    });
+    assert.strictEqual(groups.reduce((sum, { scores }) => sum + scores.length, 0), weapons.filter(weapon => weapon.isComplete).length);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readCSV } = require('./helpers.js');
+const { parseCSV } = require('../scripts/validate-data.js');
+
+// Expected values are what Papa Parse returns with { header: true, skipEmptyLines: true }
+test('parseCSV reads quoted commas, line breaks and doubled quotes like Papa Parse', () => {
+    const results = parseCSV('Weapon,Notes\n"M4, A1","line 1\nline 2"\nSGX,"say ""hi"""\n');
+    assert.deepStrictEqual(results.meta.fields, ['Weapon', 'Notes']);
+    assert.deepStrictEqual(results.data, [
+        { Weapon: 'M4, A1', Notes: 'line 1\nline 2' },
+        { Weapon: 'SGX', Notes: 'say "hi"' }
+    ]);
+    assert.deepStrictEqual(results.errors, []);
+});
+
+test('parseCSV reads Windows and old Mac line endings', () => {
+    const expected = [{ a: '1', b: '2' }, { a: '3', b: '4' }];
+    assert.deepStrictEqual(parseCSV('a,b\r\n1,2\r\n3,4\r\n').data, expected);
+    assert.deepStrictEqual(parseCSV('a,b\r1,2\r3,4').data, expected);
+});
+
+test('parseCSV keeps quotes that do not start a field as text', () => {
+    assert.deepStrictEqual(parseCSV('a,b\nx"y, "z"\n').data, [{ a: 'x"y', b: ' "z"' }]);
+});
+
+test('parseCSV drops a byte order mark, skips empty lines and keeps rows of blank fields', () => {
+    const results = parseCSV('\ufeffa,b\n\n,\n1,2\n\n');
+    assert.deepStrictEqual(results.meta.fields, ['a', 'b']);
+    assert.deepStrictEqual(results.data, [{ a: '', b: '' }, { a: '1', b: '2' }]);
+});
+
+test('parseCSV renames duplicate headers', () => {
+    const results = parseCSV('a,a,a\n1,2,3\n');
+    assert.deepStrictEqual(results.meta.fields, ['a', 'a_1', 'a_2']);
+    assert.deepStrictEqual(results.data, [{ a: '1', a_1: '2', a_2: '3' }]);
+});
+
+test('parseCSV reports rows with too few or too many fields', () => {
+    const results = parseCSV('a,b,c\n1,2\n1,2,3,4\n');
+    assert.deepStrictEqual(results.data, [{ a: '1', b: '2' }, { a: '1', b: '2', c: '3', __parsed_extra: ['4'] }]);
+    assert.deepStrictEqual(results.errors.map(error => [error.code, error.row]), [['TooFewFields', 0], ['TooManyFields', 1]]);
+});
+
+test('parseCSV reports an unterminated quote', () => {
+    const results = parseCSV('a,b\n"x,2\n');
+    assert.ok(results.errors.some(error => error.code === 'MissingQuotes'));
+});
+
+test('data/ttk.csv has no errors and only the known falloff warnings', () => {
+    const results = readCSV('data/ttk.csv');
+    const report = validateWeaponRows(results.data, { columns: results.meta.fields, parseErrors: results.errors });
+    assert.strictEqual(report.summary.errors, 0);
+    assert.strictEqual(report.summary.warnings, 3);
+    assert.strictEqual(report.summary.checks.falloff, 3);
+});
+
+test('validateWeaponRows reports bad rows with 1-based row numbers', () => {
+    const { data, meta, errors } = readCSV('data/ttk.csv');
+    const rows = data.slice(0, 3).map(row => ({ ...row }));
+    rows[1].RPM = 'fast';
+    rows[2].Weapon = rows[0].Weapon.toLowerCase();
+
+    const report = validateWeaponRows(rows, { columns: meta.fields, parseErrors: errors });
+    const found = report.issues.filter(issue => issue.severity === 'error').map(issue => [issue.check, issue.row, issue.field]);
+    assert.deepStrictEqual(found, [['invalid-number', 2, 'RPM'], ['duplicate-name', 3, 'Weapon']]);
+});
+
+test('validateWeaponRows reports missing columns and parse errors', () => {
+    const results = parseCSV('Weapon Type,Weapon\nSMG,SGX,extra\n');
+    const report = validateWeaponRows(results.data, { columns: results.meta.fields, parseErrors: results.errors });
+    assert.ok(report.summary.checks['missing-column'] > 0);
+    assert.deepStrictEqual(report.issues.filter(issue => issue.check === 'parse-error').map(issue => issue.row), [1]);
+});